@@ -0,0 +1,281 @@
+const { badRequest } = require('./errors');
+const { fromCents, parseAmountToCents } = require('./money');
+
+const DATE_FORMATS = new Set(['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY']);
+const SIGN_CONVENTIONS = new Set(['negative_expense', 'positive_expense']);
+
+// Splits CSV text into rows of cells. Handles quoted cells with embedded
+// delimiters, newlines and doubled quotes, CRLF line endings and a leading BOM.
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw badRequest('CSV has an unterminated quoted value.');
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+// Parses a bank-formatted amount such as "1,234.56", "-$12.00", "(12.00)" or
+// "12,50" (with decimalSeparator ','). Returns null when it is not a number.
+function parseAmount(value, decimalSeparator = '.') {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let text = value.trim();
+  if (!text) {
+    return null;
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  if (/-$/.test(text)) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? /[.\s']/g : /[,\s']/g;
+  text = text.replace(/[^\d.,+\-\s']/g, '').replace(thousandsSeparator, '');
+  if (decimalSeparator === ',') {
+    text = text.replace(',', '.');
+  }
+
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+    return null;
+  }
+
+  const parsed = Number(text);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+
+  return negative ? -Math.abs(parsed) : parsed;
+}
+
+// Converts a statement date in the given format to a YYYY-MM-DD key, or null
+// when it does not describe a real calendar date.
+function parseStatementDate(value, format = 'YYYY-MM-DD') {
+  const text = typeof value === 'string' ? value.trim() : '';
+  let match;
+  let parts;
+
+  if (format === 'YYYY-MM-DD') {
+    match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/);
+    parts = match && [match[1], match[2], match[3]];
+  } else {
+    const separator = format === 'DD.MM.YYYY' ? '\\.' : '/';
+    match = text.match(new RegExp(`^(\\d{1,2})${separator}(\\d{1,2})${separator}(\\d{4})$`));
+    if (match) {
+      parts = format === 'MM/DD/YYYY' ? [match[3], match[1], match[2]] : [match[3], match[2], match[1]];
+    }
+  }
+
+  if (!parts) {
+    return null;
+  }
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+function resolveColumn(reference, header, label) {
+  if (reference === undefined || reference === null || reference === '') {
+    return null;
+  }
+
+  if (Number.isInteger(reference) && reference >= 0) {
+    return reference;
+  }
+
+  if (typeof reference === 'string' && header) {
+    const index = header.findIndex((name) => name.trim().toLowerCase() === reference.trim().toLowerCase());
+    if (index !== -1) {
+      return index;
+    }
+  }
+
+  throw badRequest(`Column for ${label} was not found in the CSV.`);
+}
+
+// Validates the import options and resolves the column mapping (header names
+// or zero-based indexes) against the parsed header row.
+function normalizeImportOptions(options = {}, header = null) {
+  const mapping = options.mapping && typeof options.mapping === 'object' ? options.mapping : {};
+  const dateFormat = options.date_format || 'YYYY-MM-DD';
+  const signConvention = options.sign_convention || 'negative_expense';
+  const decimalSeparator = options.decimal_separator || '.';
+
+  if (!DATE_FORMATS.has(dateFormat)) {
+    throw badRequest(`date_format must be one of ${Array.from(DATE_FORMATS).join(', ')}.`);
+  }
+
+  if (!SIGN_CONVENTIONS.has(signConvention)) {
+    throw badRequest('sign_convention must be negative_expense or positive_expense.');
+  }
+
+  if (decimalSeparator !== '.' && decimalSeparator !== ',') {
+    throw badRequest('decimal_separator must be "." or ",".');
+  }
+
+  const columns = {
+    date: resolveColumn(mapping.date, header, 'date'),
+    amount: resolveColumn(mapping.amount, header, 'amount'),
+    debit: resolveColumn(mapping.debit, header, 'debit'),
+    credit: resolveColumn(mapping.credit, header, 'credit'),
+    description: resolveColumn(mapping.description, header, 'description'),
+  };
+
+  if (columns.date === null) {
+    throw badRequest('Map a column to the transaction date.');
+  }
+
+  if (columns.amount === null && columns.debit === null && columns.credit === null) {
+    throw badRequest('Map a column to the amount, or to debit and credit amounts.');
+  }
+
+  if (columns.amount !== null && (columns.debit !== null || columns.credit !== null)) {
+    throw badRequest('Map either a single amount column or debit/credit columns, not both.');
+  }
+
+  return {
+    columns,
+    dateFormat,
+    signConvention,
+    decimalSeparator,
+  };
+}
+
+// Turns one CSV row into { type, amount, dateKey, description } or
+// { error } when a mapped value cannot be read.
+function mapStatementRow(cells, { columns, dateFormat, signConvention, decimalSeparator }) {
+  const cellAt = (index) => (index === null ? '' : (cells[index] ?? '').trim());
+
+  const dateKey = parseStatementDate(cellAt(columns.date), dateFormat);
+  if (!dateKey) {
+    return { error: `Unreadable date "${cellAt(columns.date)}".` };
+  }
+
+  // Amounts are validated as in manual entry, so a row with more than two
+  // decimal places is reported rather than rounded.
+  const toCents = (value, label) => (value ? parseAmountToCents(Math.abs(value), label) : 0);
+  let signedCents;
+  try {
+    if (columns.amount !== null) {
+      const signedAmount = parseAmount(cellAt(columns.amount), decimalSeparator);
+      if (signedAmount === null) {
+        return { error: `Unreadable amount "${cellAt(columns.amount)}".` };
+      }
+      const isNegative = (signedAmount < 0) !== (signConvention === 'positive_expense');
+      signedCents = isNegative ? -toCents(signedAmount, 'Amount') : toCents(signedAmount, 'Amount');
+    } else {
+      const debit = cellAt(columns.debit) ? parseAmount(cellAt(columns.debit), decimalSeparator) : 0;
+      const credit = cellAt(columns.credit) ? parseAmount(cellAt(columns.credit), decimalSeparator) : 0;
+      if (debit === null || credit === null) {
+        return { error: 'Unreadable debit or credit amount.' };
+      }
+      signedCents = toCents(credit, 'Credit') - toCents(debit, 'Debit');
+    }
+  } catch (amountError) {
+    if (!amountError?.statusCode) {
+      throw amountError;
+    }
+    return { error: amountError.message };
+  }
+
+  if (signedCents === 0) {
+    return { error: 'Amount is zero.' };
+  }
+
+  return {
+    type: signedCents < 0 ? 'Expense' : 'Income',
+    amount: fromCents(Math.abs(signedCents)),
+    dateKey,
+    description: cellAt(columns.description).slice(0, 255),
+  };
+}
+
+// Quotes a value for CSV output. Text starting with a formula character is
+// prefixed with an apostrophe so spreadsheets do not evaluate it.
+function formatCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(values) {
+  return values.map(formatCsvCell).join(',');
+}
+
+module.exports = {
+  DATE_FORMATS,
+  SIGN_CONVENTIONS,
+  parseCsv,
+  formatCsvRow,
+  parseAmount,
+  parseStatementDate,
+  normalizeImportOptions,
+  mapStatementRow,
+};
@@ -0,0 +1,20 @@
+const DEFAULT_CURRENCY = 'USD';
+
+// ISO 4217 codes known to the runtime's Intl data.
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+// Returns the upper-cased currency code, or null when it is not a known
+// ISO 4217 code.
+function normalizeCurrencyCode(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const code = value.trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.has(code) ? code : null;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrencyCode,
+};
@@ -1,83 +1,244 @@
 
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
 
+const DEFAULT_DATABASE_PATH = path.join(__dirname, 'budget.db');
+const BUSY_TIMEOUT_MS = 5000;
+
 let dbInstance;
+// An app created with a database of its own binds it to each request here, so
+// run/get/all use it instead of the shared default.
+const databaseContext = new AsyncLocalStorage();
+
+// Opens the database at `dbPath`: a file path, created along with its parent
+// directories if needed, or ':memory:'. File databases use WAL so reads do not
+// wait for writes, and a locked database is retried for BUSY_TIMEOUT_MS before
+// SQLITE_BUSY is reported.
+function openDatabase(dbPath = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH) {
+  const inMemory = dbPath === ':memory:';
+  if (!inMemory) {
+    fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+  }
+
+  const db = new sqlite3.Database(dbPath);
+  db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  db.serialize(() => {
+    db.run('PRAGMA foreign_keys = ON');
+    if (!inMemory) {
+      db.run('PRAGMA journal_mode = WAL');
+    }
+  });
+
+  return db;
+}
 
 function getDb() {
+  const contextDb = databaseContext.getStore();
+  if (contextDb) {
+    return contextDb;
+  }
+
   if (!dbInstance) {
-    const dbPath = path.join(__dirname, 'budget.db');
-    dbInstance = new sqlite3.Database(dbPath);
-    dbInstance.run('PRAGMA foreign_keys = ON');
+    dbInstance = openDatabase();
   }
 
   return dbInstance;
 }
 
-function initializeDatabase() {
+// Runs `callback` with `db` as the database of run/get/all, including
+// everything it goes on to await.
+function withDatabase(db, callback) {
+  return databaseContext.run(db, callback);
+}
+
+// The transaction, if any, that the current code runs inside of.
+const transactionContext = new AsyncLocalStorage();
+// Resolves when the transaction open on a database has finished. All requests
+// share one connection, so statements from outside that transaction wait for
+// it instead of becoming part of it.
+const openTransactions = new WeakMap();
+
+async function waitForDatabase() {
   const db = getDb();
+  while (openTransactions.has(db) && transactionContext.getStore()?.db !== db) {
+    await openTransactions.get(db);
+  }
+  return db;
+}
 
-  db.serialize(() => {
-    db.run(`
-      CREATE TABLE IF NOT EXISTS User (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT NOT NULL UNIQUE,
-        password_hash TEXT NOT NULL,
-        created_at TEXT NOT NULL DEFAULT (datetime('now'))
-      )
-    `);
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS UserCategory (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        budget_type TEXT NOT NULL CHECK (budget_type IN ('Necessities', 'Leisure', 'Savings')),
-        UNIQUE (user_id, name COLLATE NOCASE),
-        FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
-      )
-    `);
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS Income (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        amount REAL NOT NULL,
-        source TEXT,
-        date TEXT NOT NULL,
-        FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
-      )
-    `);
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS Expenditure (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        user_category_id INTEGER,
-        amount REAL NOT NULL,
-        description TEXT,
-        date TEXT NOT NULL,
-        FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_category_id) REFERENCES UserCategory(id) ON DELETE SET NULL
-      )
-    `);
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS RecurringExpenditure (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        user_category_id INTEGER NOT NULL,
-        description TEXT NOT NULL,
-        default_amount REAL NOT NULL,
-        FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE,
-        FOREIGN KEY (user_category_id) REFERENCES UserCategory(id) ON DELETE RESTRICT
-      )
-    `);
+// Runs `callback(tx)` in a transaction that commits when it resolves and rolls
+// back when it throws, then returns its result. run/get/all inside it, and
+// `tx.run`/`tx.get`/`tx.all`, take part in the transaction. A nested call
+// becomes a savepoint, so only its own statements are undone if it throws;
+// await nested calls one at a time.
+async function withTransaction(callback) {
+  const db = getDb();
+  const parent = transactionContext.getStore();
+  const tx = { run, get, all };
+
+  if (parent?.db === db) {
+    const transaction = { db, depth: parent.depth + 1 };
+    const savepoint = `savepoint_${transaction.depth}`;
+    return transactionContext.run(transaction, async () => {
+      await run(`SAVEPOINT ${savepoint}`);
+      try {
+        const result = await callback(tx);
+        await run(`RELEASE ${savepoint}`);
+        return result;
+      } catch (error) {
+        await run(`ROLLBACK TO ${savepoint}`);
+        await run(`RELEASE ${savepoint}`);
+        throw error;
+      }
+    });
+  }
+
+  while (openTransactions.has(db)) {
+    await openTransactions.get(db);
+  }
+  let finish;
+  openTransactions.set(db, new Promise((resolve) => {
+    finish = resolve;
+  }));
+
+  try {
+    return await transactionContext.run({ db, depth: 0 }, async () => {
+      await run('BEGIN TRANSACTION');
+      try {
+        const result = await callback(tx);
+        await run('COMMIT');
+        return result;
+      } catch (error) {
+        await run('ROLLBACK');
+        throw error;
+      }
+    });
+  } finally {
+    openTransactions.delete(db);
+    finish();
+  }
+}
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migrations live in migrations/ as NNN-description.js files exporting an
+// async `up(context)`. They run in version order, each in its own transaction,
+// and the versions applied so far are recorded in schema_migrations.
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(/^(\d+)-([\w-]+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      file,
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version} (${migration.file}).`);
+    }
   });
+
+  return migrations;
 }
 
-function run(sql, params = []) {
-  const db = getDb();
+// ALTER TABLE for databases whose table predates the column.
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some((info) => info.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Full-text index over one text column of a table, stored as an FTS5
+// external-content table whose rowid is the record id and kept in sync by
+// triggers. An index that did not exist yet is filled from the existing rows.
+async function createSearchIndex(table, column) {
+  const indexName = `${table}Search`;
+  const existing = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [indexName]);
+  if (existing) {
+    return;
+  }
+
+  await run(`
+    CREATE VIRTUAL TABLE ${indexName} USING fts5(
+      ${column},
+      content = '${table}',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ${indexName}Insert AFTER INSERT ON ${table} BEGIN
+      INSERT INTO ${indexName} (rowid, ${column}) VALUES (new.id, new.${column});
+    END
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ${indexName}Delete AFTER DELETE ON ${table} BEGIN
+      INSERT INTO ${indexName} (${indexName}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+    END
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ${indexName}Update AFTER UPDATE OF ${column} ON ${table} BEGIN
+      INSERT INTO ${indexName} (${indexName}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+      INSERT INTO ${indexName} (rowid, ${column}) VALUES (new.id, new.${column});
+    END
+  `);
+  await run(`INSERT INTO ${indexName} (${indexName}) VALUES ('rebuild')`);
+}
+
+// Lists every migration with the time it was applied, or null when pending.
+async function getMigrationStatus() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  const appliedRows = await all('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(appliedRows.map((row) => [row.version, row.applied_at]));
+  return loadMigrations().map((migration) => ({
+    ...migration,
+    applied_at: appliedAt.get(migration.version) ?? null,
+  }));
+}
+
+// Applies the pending migrations in order and returns them. A failing
+// migration is rolled back and stops the run, so later ones never see a
+// half-migrated schema.
+async function migrate() {
+  const pending = (await getMigrationStatus()).filter((migration) => !migration.applied_at);
+  const context = { run, get, all, addColumnIfMissing, createSearchIndex };
+
+  for (const migration of pending) {
+    const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+    try {
+      await withTransaction(async () => {
+        await up(context);
+        await run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+    } catch (migrationError) {
+      throw Object.assign(new Error(`Migration ${migration.file} failed: ${migrationError.message}`), {
+        cause: migrationError,
+      });
+    }
+  }
+
+  return pending;
+}
+
+async function initializeDatabase() {
+  await migrate();
+}
+
+async function run(sql, params = []) {
+  const db = await waitForDatabase();
 
   return new Promise((resolve, reject) => {
     db.run(sql, params, function runCallback(err) {
@@ -91,8 +252,8 @@ function run(sql, params = []) {
   });
 }
 
-function get(sql, params = []) {
-  const db = getDb();
+async function get(sql, params = []) {
+  const db = await waitForDatabase();
 
   return new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
@@ -106,8 +267,8 @@ function get(sql, params = []) {
   });
 }
 
-function all(sql, params = []) {
-  const db = getDb();
+async function all(sql, params = []) {
+  const db = await waitForDatabase();
 
   return new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
@@ -122,9 +283,46 @@ function all(sql, params = []) {
 }
 
 module.exports = {
+  openDatabase,
   getDb,
+  withDatabase,
+  withTransaction,
   initializeDatabase,
+  getMigrationStatus,
+  migrate,
   run,
   get,
   all,
 };
+
+// `node database.js migrate --status` lists the migrations and whether they
+// have been applied; `node database.js migrate --up` applies the pending ones.
+async function runMigrateCommand(args) {
+  if (args[0] !== 'migrate' || !['--status', '--up'].includes(args[1])) {
+    console.error('Usage: node database.js migrate --status|--up');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (args[1] === '--up') {
+    const applied = await migrate();
+    applied.forEach((migration) => console.log(`Applied ${migration.file}`));
+    console.log(applied.length ? `${applied.length} migration(s) applied.` : 'Database is up to date.');
+    return;
+  }
+
+  const migrations = await getMigrationStatus();
+  migrations.forEach((migration) => {
+    const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`${String(migration.version).padStart(3, '0')}-${migration.name}  ${state}`);
+  });
+}
+
+if (require.main === module) {
+  runMigrateCommand(process.argv.slice(2))
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => getDb().close());
+}
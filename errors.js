@@ -0,0 +1,9 @@
+// Errors thrown with a statusCode are answered by the route handlers with
+// that status and the error message.
+function badRequest(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+module.exports = {
+  badRequest,
+};
@@ -0,0 +1,107 @@
+const { badRequest } = require('./errors');
+const { fromCents, parseAmountToCents } = require('./money');
+const { parseDateKey } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Projections further out than this are reported as null rather than as a
+// meaningless date decades away.
+const MAX_PROJECTION_DAYS = 50 * 366;
+
+// Validates goal fields from a request body, with `target_amount` in cents.
+// With `partial`, fields that are not present are left out of the result so
+// PATCH can apply only what changed.
+function normalizeGoalFields(body = {}, { partial = false, today } = {}) {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 40) {
+      throw badRequest('Goal name must be between 1 and 40 characters.');
+    }
+    fields.name = name;
+  }
+
+  if (!partial || body.target_amount !== undefined) {
+    fields.target_amount = parseAmountToCents(body.target_amount, 'target_amount');
+  }
+
+  if (!partial || body.target_date !== undefined) {
+    const targetDate = body.target_date === null || body.target_date === '' || body.target_date === undefined
+      ? null
+      : body.target_date;
+    if (targetDate !== null && !parseDateKey(targetDate)) {
+      throw badRequest('target_date must be a date in the YYYY-MM-DD format.');
+    }
+    if (targetDate !== null && today && targetDate < today) {
+      throw badRequest('target_date cannot be in the past.');
+    }
+    fields.target_date = targetDate;
+  }
+
+  return fields;
+}
+
+// Number of calendar months from today's month through the target month,
+// both included, i.e. how many monthly contributions can still be made.
+function countMonthsLeft(today, targetDate) {
+  if (targetDate < today) {
+    return 0;
+  }
+
+  const [todayYear, todayMonth] = today.split('-').map(Number);
+  const [targetYear, targetMonth] = targetDate.split('-').map(Number);
+  return (targetYear - todayYear) * 12 + (targetMonth - todayMonth) + 1;
+}
+
+// Computes a goal's progress from the amount saved so far, both in cents; the
+// amounts returned are decimals. The projection assumes saving continues at
+// the average daily rate since `startedOn`, the earlier of the goal's creation
+// and its first saving.
+function describeGoalProgress({ targetAmount, targetDate, startedOn }, saved, today) {
+  const remaining = Math.max(0, targetAmount - saved);
+  const completed = remaining === 0;
+
+  const monthsLeft = targetDate ? countMonthsLeft(today, targetDate) : null;
+  let requiredMonthly = null;
+  if (completed) {
+    requiredMonthly = 0;
+  } else if (targetDate) {
+    requiredMonthly = monthsLeft > 0 ? Math.ceil(remaining / monthsLeft) : remaining;
+  }
+
+  let projectedCompletionDate = null;
+  if (!completed && saved > 0) {
+    const start = parseDateKey(startedOn) || parseDateKey(today);
+    const elapsedDays = Math.max(1, Math.round((parseDateKey(today) - start) / DAY_MS) + 1);
+    const daysNeeded = Math.ceil((remaining * elapsedDays) / saved);
+    if (daysNeeded <= MAX_PROJECTION_DAYS) {
+      projectedCompletionDate = new Date(parseDateKey(today).getTime() + daysNeeded * DAY_MS)
+        .toISOString()
+        .slice(0, 10);
+    }
+  }
+
+  let status = null;
+  if (completed) {
+    status = 'completed';
+  } else if (targetDate && targetDate < today) {
+    status = 'overdue';
+  } else if (targetDate) {
+    status = projectedCompletionDate && projectedCompletionDate <= targetDate ? 'on_track' : 'behind';
+  }
+
+  return {
+    saved: fromCents(saved),
+    remaining: fromCents(remaining),
+    percent_complete: Math.round((saved / targetAmount) * 1000) / 10,
+    months_left: monthsLeft,
+    required_monthly: fromCents(requiredMonthly),
+    projected_completion_date: projectedCompletionDate,
+    status,
+  };
+}
+
+module.exports = {
+  normalizeGoalFields,
+  describeGoalProgress,
+};
@@ -5,19 +5,98 @@ const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
-const { initializeDatabase, run, get, all } = require('./database');
-
-const app = express();
+const {
+  openDatabase,
+  getDb,
+  withDatabase,
+  withTransaction,
+  initializeDatabase,
+  run,
+  get,
+  all,
+} = require('./database');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedDayStart,
+  getMonthRange,
+  getCurrentMonth,
+} = require('./timezone');
+const {
+  getLocalDateKey,
+  normalizeRecurrenceRule,
+  getNextOccurrence,
+  startRecurringScheduler,
+} = require('./recurring');
+const {
+  parseCsv,
+  formatCsvRow,
+  normalizeImportOptions,
+  mapStatementRow,
+} = require('./csv');
+const { parseOfx } = require('./ofx');
+const { normalizeGoalFields, describeGoalProgress } = require('./goals');
+const { DEFAULT_CURRENCY, normalizeCurrencyCode } = require('./currency');
+const { toCents, fromCents, parseAmountToCents } = require('./money');
+const { badRequest } = require('./errors');
+
+// Routes are shared by every app that createApp builds.
+const router = express.Router();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'my-super-secret-key';
 const TOKEN_EXPIRY = '7d';
 const BUDGET_TYPES = new Set(['Necessities', 'Leisure', 'Savings']);
-
-initializeDatabase();
-
-app.use(cors());
-app.use(express.json({ limit: '1mb' }));
-app.use(express.static(path.join(__dirname, 'public')));
+const DEFAULT_BUDGET_SPLIT = {
+  necessities_pct: 50,
+  leisure_pct: 30,
+  savings_pct: 20,
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Share of a category's monthly limit at which it is flagged as nearly spent.
+const CATEGORY_LIMIT_WARNING_RATIO = 0.8;
+const MAX_EXPENSE_SPLITS = 20;
+const MAX_SEARCH_LENGTH = 100;
+const MAX_FILTER_CATEGORIES = 50;
+const MAX_TAGS = 100;
+const MAX_TRANSACTION_TAGS = 10;
+const MAX_GOALS = 20;
+const MAX_EXCHANGE_RATES = 500;
+const DEFAULT_TREND_MONTHS = 12;
+const MAX_TREND_MONTHS = 36;
+// Link table and column that attach tags to each transaction type.
+const TAG_LINKS = {
+  Income: { table: 'IncomeTag', column: 'income_id' },
+  Expense: { table: 'ExpenditureTag', column: 'expenditure_id' },
+};
+// One row per category share of an expense: split expenses contribute each of
+// their split lines, all others their whole amount. Amounts are converted into
+// the user's base currency.
+const EXPENSE_PARTS_SQL = `
+  SELECT e.id AS expenditure_id, e.user_id, e.date, s.user_category_id, ${toBaseAmountSql('e', 's.amount')} AS amount
+  FROM Expenditure e
+  JOIN ExpenditureSplit s ON s.expenditure_id = e.id
+  UNION ALL
+  SELECT e.id, e.user_id, e.date, e.user_category_id, ${toBaseAmountSql('e')} AS amount
+  FROM Expenditure e
+  WHERE NOT EXISTS (SELECT 1 FROM ExpenditureSplit s WHERE s.expenditure_id = e.id)
+`;
+const STATEMENT_IMPORT_MAX_ROWS = 5000;
+const STATEMENT_PREVIEW_ROWS = 100;
+// Statements carry the bank's own history, so their dates are not held to the
+// manual-entry window.
+const STATEMENT_DATE_OPTIONS = { checkWindow: false };
+const STATEMENT_DELIMITERS = new Set([',', ';', '\t', '|']);
+const TEMPLATE_SCHEMA_VERSION = '1.3';
+// 1.0 files predate recurring income and are still accepted on import.
+const SUPPORTED_TEMPLATE_VERSIONS = new Set(['1.0', '1.1', '1.2', '1.3']);
+const TRANSACTION_DATE_MAX_PAST_DAYS = parsePositiveIntEnv('TRANSACTION_DATE_MAX_PAST_DAYS', 365);
+const TRANSACTION_DATE_MAX_FUTURE_DAYS = parsePositiveIntEnv('TRANSACTION_DATE_MAX_FUTURE_DAYS', 31);
+const RECURRING_SCHEDULER_INTERVAL_MINUTES = parsePositiveIntEnv('RECURRING_SCHEDULER_INTERVAL_MINUTES', 60);
+
+function parsePositiveIntEnv(name, defaultValue) {
+  const parsed = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : defaultValue;
+}
 
 function hashPassword(password) {
   return new Promise((resolve, reject) => {
@@ -67,17 +146,310 @@ function authenticate(req, res, next) {
   }
 }
 
-function getCurrentMonthRange() {
-  const now = new Date();
-  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
-  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+async function getUserTimeZone(userId) {
+  const user = await get('SELECT timezone FROM User WHERE id = ?', [userId]);
+  return isValidTimeZone(user?.timezone) ? user.timezone : DEFAULT_TIME_ZONE;
+}
+
+async function getUserBaseCurrency(userId) {
+  const user = await get('SELECT base_currency FROM User WHERE id = ?', [userId]);
+  return normalizeCurrencyCode(user?.base_currency) || DEFAULT_CURRENCY;
+}
+
+// SQL expression for the amount of transaction row `alias` (Income or
+// Expenditure) in its owner's base currency, rounded to whole cents. It uses
+// the latest exchange rate effective on or before the transaction's local
+// date, or the earliest rate when the transaction predates all of them. Amounts
+// already in the base currency are used as they are.
+function toBaseAmountSql(alias, amountExpr = `${alias}.amount`) {
+  const baseCurrency = `(SELECT base_currency FROM User WHERE id = ${alias}.user_id)`;
+  const rate = (condition, order) => `(
+    SELECT r.rate
+    FROM ExchangeRate r
+    WHERE r.user_id = ${alias}.user_id
+      AND r.currency = ${alias}.currency
+      AND r.base_currency = ${baseCurrency}
+      ${condition}
+    ORDER BY r.effective_date ${order}
+    LIMIT 1
+  )`;
+
+  return `ROUND((${amountExpr}) * (
+    CASE WHEN ${alias}.currency = ${baseCurrency} THEN 1
+    ELSE COALESCE(${rate(`AND r.effective_from <= ${alias}.date`, 'DESC')}, ${rate('', 'ASC')})
+    END
+  ))`;
+}
+
+// Start of a rate's effective_date in the user's time zone, stored as the
+// rate's effective_from so toBaseAmountSql can compare it with transaction
+// timestamps.
+function getRateEffectiveFrom(effectiveDate, timeZone) {
+  return parseLocalDate(effectiveDate, timeZone).start.toISOString();
+}
+
+// Recomputes effective_from of all the user's rates after a time zone change.
+async function refreshRateEffectiveFrom(userId, timeZone) {
+  const rates = await all('SELECT id, effective_date FROM ExchangeRate WHERE user_id = ?', [userId]);
+  for (const rate of rates) {
+    await run(
+      'UPDATE ExchangeRate SET effective_from = ? WHERE id = ?',
+      [getRateEffectiveFrom(rate.effective_date, timeZone), rate.id],
+    );
+  }
+}
+
+// Resolves the currency of a new or updated transaction or template. It
+// defaults to the user's base currency, and any other currency needs at least
+// one exchange rate into the base so reports can convert it.
+async function resolveTransactionCurrency(userId, rawCurrency) {
+  const baseCurrency = await getUserBaseCurrency(userId);
+  if (rawCurrency === undefined || rawCurrency === null || rawCurrency === '') {
+    return baseCurrency;
+  }
+
+  const currency = normalizeCurrencyCode(rawCurrency);
+  if (!currency) {
+    throw badRequest('Invalid currency code.');
+  }
+
+  if (currency !== baseCurrency) {
+    const rate = await get(
+      'SELECT id FROM ExchangeRate WHERE user_id = ? AND currency = ? AND base_currency = ? LIMIT 1',
+      [userId, currency, baseCurrency],
+    );
+    if (!rate?.id) {
+      throw badRequest(`Add an exchange rate from ${currency} to ${baseCurrency} before using ${currency}.`);
+    }
+  }
+
+  return currency;
+}
+
+// Currencies other than `baseCurrency` that the user's transactions or
+// templates are recorded in but that have no exchange rate into it.
+async function findUnconvertibleCurrencies(userId, baseCurrency) {
+  const rows = await all(
+    `
+      SELECT DISTINCT used.currency
+      FROM (
+        SELECT currency FROM Income WHERE user_id = ?
+        UNION SELECT currency FROM Expenditure WHERE user_id = ?
+        UNION SELECT currency FROM RecurringExpenditure WHERE user_id = ?
+        UNION SELECT currency FROM RecurringIncome WHERE user_id = ?
+      ) used
+      WHERE used.currency <> ?
+        AND NOT EXISTS (
+          SELECT 1 FROM ExchangeRate r
+          WHERE r.user_id = ? AND r.currency = used.currency AND r.base_currency = ?
+        )
+      ORDER BY used.currency
+    `,
+    [userId, userId, userId, userId, baseCurrency, userId, baseCurrency],
+  );
+  return rows.map((row) => row.currency);
+}
+
+function formatMonthKey(year, monthIndex) {
+  const date = new Date(Date.UTC(year, monthIndex, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+// Parses YYYY-MM-DD as the start of that day in the given time zone. Returns
+// null when the value is not a real calendar date.
+function parseLocalDate(value, timeZone) {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  const day = Number(match[3]);
+  const check = new Date(Date.UTC(year, monthIndex, day));
+
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== monthIndex || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  return { year, monthIndex, day, start: getZonedDayStart(year, monthIndex, day, timeZone) };
+}
+
+function parseRangeBoundary(value, label, isEnd, timeZone) {
+  const trimmed = value.trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    const localDate = parseLocalDate(trimmed, timeZone);
+    if (!localDate) {
+      throw badRequest(`Invalid ${label} date.`);
+    }
+
+    // A date-only "to" covers that whole local day.
+    if (isEnd) {
+      return getZonedDayStart(localDate.year, localDate.monthIndex, localDate.day + 1, timeZone).toISOString();
+    }
+
+    return localDate.start.toISOString();
+  }
+
+  const parsed = new Date(trimmed);
+  if (Number.isNaN(parsed.getTime())) {
+    throw badRequest(`Invalid ${label} date.`);
+  }
+
+  return parsed.toISOString();
+}
+
+// Resolves the reporting period from `month=YYYY-MM` or `from`/`to` query
+// parameters, defaulting to the current month. Month and day boundaries follow
+// the user's time zone. `endIso` is exclusive.
+function resolveReportPeriod(query = {}, timeZone = DEFAULT_TIME_ZONE) {
+  const month = typeof query.month === 'string' ? query.month.trim() : '';
+  const from = typeof query.from === 'string' ? query.from.trim() : '';
+  const to = typeof query.to === 'string' ? query.to.trim() : '';
+
+  if (month && (from || to)) {
+    throw badRequest('Use either month or from/to, not both.');
+  }
+
+  if (month) {
+    const match = month.match(/^(\d{4})-(0[1-9]|1[0-2])$/);
+    if (!match) {
+      throw badRequest('month must use the YYYY-MM format.');
+    }
+
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    return {
+      ...getMonthRange(year, monthIndex, timeZone),
+      month: formatMonthKey(year, monthIndex),
+      isDefault: false,
+    };
+  }
+
+  if (from || to) {
+    if (!from || !to) {
+      throw badRequest('Both from and to are required.');
+    }
+
+    const startIso = parseRangeBoundary(from, 'from', false, timeZone);
+    const endIso = parseRangeBoundary(to, 'to', true, timeZone);
+
+    if (startIso >= endIso) {
+      throw badRequest('from must be earlier than to.');
+    }
+
+    return {
+      startIso,
+      endIso,
+      month: null,
+      isDefault: false,
+    };
+  }
+
+  const { year, monthIndex } = getCurrentMonth(timeZone);
+  return {
+    ...getMonthRange(year, monthIndex, timeZone),
+    month: formatMonthKey(year, monthIndex),
+    isDefault: true,
+  };
+}
+
+// Accepts YYYY-MM-DD (the start of that day in the user's time zone) or a full
+// ISO-8601 timestamp and returns the normalized ISO string. Falls back to "now"
+// when no date is given.
+function parseTransactionDate(rawDate, timeZone = DEFAULT_TIME_ZONE, { checkWindow = true } = {}) {
+  if (rawDate === undefined || rawDate === null || rawDate === '') {
+    return new Date().toISOString();
+  }
+
+  const value = typeof rawDate === 'string' ? rawDate.trim() : '';
+  const dateOnlyMatch = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const isoMatch = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/.test(value);
+
+  if (!dateOnlyMatch && !isoMatch) {
+    throw badRequest('Date must be an ISO-8601 date (YYYY-MM-DD) or timestamp.');
+  }
+
+  const localDate = dateOnlyMatch ? parseLocalDate(value, timeZone) : null;
+  if (dateOnlyMatch && !localDate) {
+    throw badRequest('Invalid date.');
+  }
+
+  const parsed = localDate ? localDate.start : new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw badRequest('Invalid date.');
+  }
+
+  if (!checkWindow) {
+    return parsed.toISOString();
+  }
+
+  const now = Date.now();
+  if (parsed.getTime() < now - TRANSACTION_DATE_MAX_PAST_DAYS * DAY_MS) {
+    throw badRequest(`Date cannot be more than ${TRANSACTION_DATE_MAX_PAST_DAYS} days in the past.`);
+  }
+
+  if (parsed.getTime() > now + TRANSACTION_DATE_MAX_FUTURE_DAYS * DAY_MS) {
+    throw badRequest(`Date cannot be more than ${TRANSACTION_DATE_MAX_FUTURE_DAYS} days in the future.`);
+  }
+
+  return parsed.toISOString();
+}
+
+function normalizeBudgetSplit(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw badRequest('Invalid budget split.');
+  }
+
+  const split = {};
+  Object.keys(DEFAULT_BUDGET_SPLIT).forEach((key) => {
+    const value = Number(payload[key]);
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      throw badRequest(`${key} must be a whole number between 0 and 100.`);
+    }
+    split[key] = value;
+  });
+
+  if (split.necessities_pct + split.leisure_pct + split.savings_pct !== 100) {
+    throw badRequest('Budget percentages must add up to 100.');
+  }
+
+  return split;
+}
+
+async function getBudgetSplit(userId) {
+  const profile = await get(
+    'SELECT necessities_pct, leisure_pct, savings_pct FROM BudgetProfile WHERE user_id = ?',
+    [userId],
+  );
+
+  if (!profile) {
+    return { ...DEFAULT_BUDGET_SPLIT };
+  }
 
   return {
-    startIso: start.toISOString(),
-    endIso: end.toISOString(),
+    necessities_pct: Number(profile.necessities_pct),
+    leisure_pct: Number(profile.leisure_pct),
+    savings_pct: Number(profile.savings_pct),
   };
 }
 
+async function saveBudgetSplit(userId, split) {
+  await run(
+    `
+      INSERT INTO BudgetProfile (user_id, necessities_pct, leisure_pct, savings_pct, updated_at)
+      VALUES (?, ?, ?, ?, datetime('now'))
+      ON CONFLICT (user_id) DO UPDATE SET
+        necessities_pct = excluded.necessities_pct,
+        leisure_pct = excluded.leisure_pct,
+        savings_pct = excluded.savings_pct,
+        updated_at = excluded.updated_at
+    `,
+    [userId, split.necessities_pct, split.leisure_pct, split.savings_pct],
+  );
+}
+
 function parseLimit(rawLimit, defaultValue = 20, maxValue = 50) {
   const parsed = Number.parseInt(rawLimit, 10);
   if (Number.isNaN(parsed) || parsed <= 0) {
@@ -126,11 +498,16 @@ async function fetchTransactions({
   cursor = null,
   typeFilter = null,
   categoryFilter = null,
+  tagFilter = null,
+  searchQuery = null,
+  minAmount = null,
+  maxAmount = null,
   dateFrom = null,
   dateTo = null,
+  maxLimit = 50,
 }) {
   const normalizedSort = normalizeSort(sort);
-  const clampedLimit = Math.min(Math.max(limit, 1), 50);
+  const clampedLimit = Math.min(Math.max(limit, 1), maxLimit);
   const fetchLimit = clampedLimit + 1;
 
   let cursorCondition = '';
@@ -144,9 +521,7 @@ async function fetchTransactions({
       || typeof cursor.id !== 'number'
       || cursor.sort !== normalizedSort
     ) {
-      const error = new Error('Invalid cursor.');
-      error.statusCode = 400;
-      throw error;
+      throw badRequest('Invalid cursor.');
     }
 
     if (normalizedSort === 'newest') {
@@ -196,13 +571,60 @@ async function fetchTransactions({
     params.push(typeFilter);
   }
 
+  // An expense matches when it belongs to any of the selected categories.
+  // Split expenses match when any of their split lines does.
   if (categoryFilter) {
-    if (categoryFilter.kind === 'uncategorized') {
-      conditions.push("type = 'Expense' AND user_category_id IS NULL");
-    } else if (categoryFilter.kind === 'id') {
-      conditions.push("type = 'Expense' AND user_category_id = ?");
-      params.push(categoryFilter.value);
+    const alternatives = [];
+
+    if (categoryFilter.uncategorized) {
+      alternatives.push(`
+        (is_split = 0 AND user_category_id IS NULL)
+        OR sort_id IN (SELECT expenditure_id FROM ExpenditureSplit WHERE user_category_id IS NULL)`);
+    }
+
+    if (categoryFilter.ids.length) {
+      // Filtering by a parent category includes its sub-categories.
+      const placeholders = categoryFilter.ids.map(() => '?').join(', ');
+      const categoryIds = `SELECT id FROM UserCategory WHERE id IN (${placeholders}) OR parent_id IN (${placeholders})`;
+      alternatives.push(`
+        user_category_id IN (${categoryIds})
+        OR sort_id IN (SELECT expenditure_id FROM ExpenditureSplit WHERE user_category_id IN (${categoryIds}))`);
+      params.push(...categoryFilter.ids, ...categoryFilter.ids, ...categoryFilter.ids, ...categoryFilter.ids);
     }
+
+    conditions.push(`type = 'Expense' AND (${alternatives.join(' OR ')})`);
+  }
+
+  // Transactions carrying any of the selected tags match.
+  if (tagFilter) {
+    const placeholders = tagFilter.map(() => '?').join(', ');
+    conditions.push(`
+      (
+        (type = 'Expense' AND sort_id IN (SELECT expenditure_id FROM ExpenditureTag WHERE tag_id IN (${placeholders})))
+        OR (type = 'Income' AND sort_id IN (SELECT income_id FROM IncomeTag WHERE tag_id IN (${placeholders})))
+      )`);
+    params.push(...tagFilter, ...tagFilter);
+  }
+
+  if (minAmount !== null) {
+    conditions.push('base_amount >= ?');
+    params.push(toCents(minAmount));
+  }
+
+  if (maxAmount !== null) {
+    conditions.push('base_amount <= ?');
+    params.push(toCents(maxAmount));
+  }
+
+  // The search is just another condition on the merged rows, so the keyset
+  // cursor pages through matches the same way as through the full list.
+  if (searchQuery) {
+    conditions.push(`
+      (
+        (type = 'Expense' AND sort_id IN (SELECT rowid FROM ExpenditureSearch WHERE ExpenditureSearch MATCH ?))
+        OR (type = 'Income' AND sort_id IN (SELECT rowid FROM IncomeSearch WHERE IncomeSearch MATCH ?))
+      )`);
+    params.push(searchQuery, searchQuery);
   }
 
   if (dateFrom) {
@@ -227,25 +649,35 @@ async function fetchTransactions({
       type_order,
       type,
       amount,
+      currency,
+      base_amount,
       source,
       description,
       user_category_id,
       category_name,
-      category_budget_type
+      category_budget_type,
+      is_split,
+      goal_id,
+      goal_name
     FROM (
       SELECT
-        date AS sort_date,
-        id AS sort_id,
+        i.date AS sort_date,
+        i.id AS sort_id,
         0 AS type_order,
         'Income' AS type,
-        amount,
-        source,
+        i.amount,
+        i.currency,
+        ${toBaseAmountSql('i')} AS base_amount,
+        i.source,
         NULL AS description,
         NULL AS user_category_id,
         NULL AS category_name,
-        NULL AS category_budget_type
-      FROM Income
-      WHERE user_id = ?
+        NULL AS category_budget_type,
+        0 AS is_split,
+        NULL AS goal_id,
+        NULL AS goal_name
+      FROM Income i
+      WHERE i.user_id = ?
       UNION ALL
       SELECT
         e.date AS sort_date,
@@ -253,13 +685,19 @@ async function fetchTransactions({
         1 AS type_order,
         'Expense' AS type,
         e.amount,
+        e.currency,
+        ${toBaseAmountSql('e')} AS base_amount,
         NULL AS source,
         e.description,
         e.user_category_id,
         uc.name AS category_name,
-        uc.budget_type AS category_budget_type
+        uc.budget_type AS category_budget_type,
+        EXISTS (SELECT 1 FROM ExpenditureSplit s WHERE s.expenditure_id = e.id) AS is_split,
+        e.goal_id,
+        g.name AS goal_name
       FROM Expenditure e
       LEFT JOIN UserCategory uc ON uc.id = e.user_category_id
+      LEFT JOIN SavingsGoal g ON g.id = e.goal_id
       WHERE e.user_id = ?
     )
   `;
@@ -281,7 +719,7 @@ async function fetchTransactions({
   let items = rows;
 
   if (rows.length > clampedLimit) {
-    const lastRow = rows[clampedLimit];
+    const lastRow = rows[clampedLimit - 1];
     nextCursor = encodeCursor({
       sort: normalizedSort,
       date: lastRow.sort_date,
@@ -291,11 +729,20 @@ async function fetchTransactions({
     items = rows.slice(0, clampedLimit);
   }
 
+  const idsOfType = (type) => items.filter((row) => row.type === type).map((row) => row.sort_id);
+  const [splitsByExpense, incomeTags, expenseTags] = await Promise.all([
+    loadExpenseSplits(items.filter((row) => row.is_split).map((row) => row.sort_id)),
+    loadTransactionTags('Income', idsOfType('Income')),
+    loadTransactionTags('Expense', idsOfType('Expense')),
+  ]);
+
   return {
     items: items.map((row) => ({
       id: row.sort_id,
       type: row.type,
-      amount: Number(row.amount),
+      amount: fromCents(row.amount),
+      currency: row.currency,
+      base_amount: fromCents(row.base_amount),
       date: row.sort_date,
       source: row.source,
       description: row.description,
@@ -303,14 +750,29 @@ async function fetchTransactions({
       category_name: row.category_name,
       category_budget_type: row.category_budget_type,
       budgetType: row.category_budget_type,
+      splits: row.is_split
+        ? (splitsByExpense.get(row.sort_id) || []).map((line) => ({
+          category_id: line.user_category_id,
+          category_name: line.category?.name ?? null,
+          category_budget_type: line.category?.budget_type ?? null,
+          amount: fromCents(line.amount),
+        }))
+        : null,
+      tags: (row.type === 'Income' ? incomeTags : expenseTags).get(row.sort_id) || [],
+      goal: row.goal_id ? { id: row.goal_id, name: row.goal_name } : null,
     })),
     nextCursor,
   };
 }
 
-app.post('/api/users/register', async (req, res) => {
+router.post('/api/users/register', async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const {
+      username,
+      password,
+      timezone,
+      base_currency: rawBaseCurrency,
+    } = req.body;
     const trimmedUsername = typeof username === 'string' ? username.trim() : '';
     const passwordValue = typeof password === 'string' ? password : '';
 
@@ -321,6 +783,19 @@ app.post('/api/users/register', async (req, res) => {
       return;
     }
 
+    if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+      res.status(400).json({ message: 'Invalid time zone.' });
+      return;
+    }
+
+    const baseCurrency = rawBaseCurrency === undefined || rawBaseCurrency === null
+      ? DEFAULT_CURRENCY
+      : normalizeCurrencyCode(rawBaseCurrency);
+    if (!baseCurrency) {
+      res.status(400).json({ message: 'Invalid currency code.' });
+      return;
+    }
+
     const existingUser = await get('SELECT id FROM User WHERE username = ?', [trimmedUsername]);
     if (existingUser?.id) {
       res.status(409).json({ message: 'Username is already taken.' });
@@ -329,8 +804,8 @@ app.post('/api/users/register', async (req, res) => {
 
     const passwordHash = await hashPassword(passwordValue);
     const result = await run(
-      'INSERT INTO User (username, password_hash) VALUES (?, ?)',
-      [trimmedUsername, passwordHash],
+      'INSERT INTO User (username, password_hash, timezone, base_currency) VALUES (?, ?, ?, ?)',
+      [trimmedUsername, passwordHash, timezone || DEFAULT_TIME_ZONE, baseCurrency],
     );
 
     const token = jwt.sign({ id: result.lastID }, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
@@ -342,32 +817,123 @@ app.post('/api/users/register', async (req, res) => {
   }
 });
 
-app.post('/api/categories', authenticate, async (req, res) => {
-  try {
-    const { name, budget_type: budgetType } = req.body;
-    const trimmedName = typeof name === 'string' ? name.trim() : '';
+// Validates an optional monthly spending limit and returns it in cents. Empty
+// values clear the limit.
+function normalizeMonthlyLimit(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
 
-    if (!trimmedName) {
-      res.status(400).json({ message: 'Category name is required.' });
-      return;
-    }
+  return parseAmountToCents(value, 'Monthly limit');
+}
 
-    if (trimmedName.length < 1 || trimmedName.length > 40) {
-      res.status(400).json({ message: 'Category name must be between 1 and 40 characters.' });
-      return;
+function normalizeCategoryName(name) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmedName) {
+    throw badRequest('Category name is required.');
+  }
+
+  if (trimmedName.length > 40) {
+    throw badRequest('Category name must be between 1 and 40 characters.');
+  }
+
+  return trimmedName;
+}
+
+// Category names are unique per user regardless of case. excludeId lets a
+// category keep its own name, for example when only its casing changes.
+async function isCategoryNameTaken(userId, name, excludeId = null) {
+  const existing = await get(
+    'SELECT id FROM UserCategory WHERE user_id = ? AND LOWER(name) = LOWER(?) AND id IS NOT ?',
+    [userId, name, excludeId],
+  );
+  return Boolean(existing?.id);
+}
+
+// Categories nest at most one level deep, so a parent must itself be a
+// top-level category.
+async function resolveParentCategory(userId, rawParentId, categoryId = null) {
+  const parentId = parseRecordId(rawParentId);
+  if (!parentId) {
+    throw badRequest('Invalid parent category id.');
+  }
+
+  if (parentId === categoryId) {
+    throw badRequest('A category cannot be its own parent.');
+  }
+
+  const parent = await get(
+    'SELECT id, name, budget_type, parent_id FROM UserCategory WHERE id = ? AND user_id = ?',
+    [parentId, userId],
+  );
+
+  if (!parent?.id) {
+    throw badRequest('Parent category not found.');
+  }
+
+  if (parent.parent_id) {
+    throw badRequest('Sub-categories cannot have sub-categories of their own.');
+  }
+
+  return parent;
+}
+
+async function countSubCategories(userId, categoryId) {
+  const row = await get(
+    'SELECT COUNT(*) AS count FROM UserCategory WHERE user_id = ? AND parent_id = ?',
+    [userId, categoryId],
+  );
+  return Number(row?.count || 0);
+}
+
+function serializeCategory(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    budget_type: row.budget_type,
+    budget_type_inherited: Boolean(row.parent_id) && !row.budget_type_override,
+    monthly_limit: fromCents(row.monthly_limit),
+    parent_id: row.parent_id ?? null,
+  };
+}
+
+// Nests sub-categories under their parents, keeping the input order.
+function buildCategoryTree(rows) {
+  const nodes = new Map(rows.map((row) => [row.id, { ...serializeCategory(row), children: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
     }
+  });
+
+  return roots;
+}
 
-    if (!BUDGET_TYPES.has(budgetType)) {
+router.post('/api/categories', authenticate, async (req, res) => {
+  try {
+    const { budget_type: budgetType, parent_id: parentIdParam } = req.body;
+    const trimmedName = normalizeCategoryName(req.body.name);
+    const monthlyLimit = normalizeMonthlyLimit(req.body.monthly_limit);
+    const parent = parentIdParam === undefined || parentIdParam === null || parentIdParam === ''
+      ? null
+      : await resolveParentCategory(req.userId, parentIdParam);
+
+    // Sub-categories follow their parent's budget type unless one is given.
+    const inheritsBudgetType = Boolean(parent) && (budgetType === undefined || budgetType === null || budgetType === '');
+    const resolvedBudgetType = inheritsBudgetType ? parent.budget_type : budgetType;
+
+    if (!BUDGET_TYPES.has(resolvedBudgetType)) {
       res.status(400).json({ message: 'Invalid budget type.' });
       return;
     }
 
-    const existing = await get(
-      'SELECT id FROM UserCategory WHERE user_id = ? AND LOWER(name) = LOWER(?)',
-      [req.userId, trimmedName],
-    );
-
-    if (existing?.id) {
+    if (await isCategoryNameTaken(req.userId, trimmedName)) {
       res.status(409).json({ message: 'Category name already exists.' });
       return;
     }
@@ -383,295 +949,2453 @@ app.post('/api/categories', authenticate, async (req, res) => {
       return;
     }
 
+    const budgetTypeOverride = parent && !inheritsBudgetType ? 1 : 0;
     const result = await run(
-      'INSERT INTO UserCategory (user_id, name, budget_type) VALUES (?, ?, ?)',
-      [req.userId, trimmedName, budgetType],
+      `
+        INSERT INTO UserCategory (user_id, name, budget_type, monthly_limit, parent_id, budget_type_override)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+      [req.userId, trimmedName, resolvedBudgetType, monthlyLimit, parent?.id ?? null, budgetTypeOverride],
     );
 
-    res.status(201).json({
-      id: result.lastID,
-      name: trimmedName,
-      budget_type: budgetType,
-    });
+    res.status(201).json(
+      serializeCategory({
+        id: result.lastID,
+        name: trimmedName,
+        budget_type: resolvedBudgetType,
+        budget_type_override: budgetTypeOverride,
+        monthly_limit: monthlyLimit,
+        parent_id: parent?.id ?? null,
+      }),
+    );
   } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
     console.error('Failed to create category:', error);
     res.status(500).json({ message: 'Failed to create category.' });
   }
 });
 
-app.get('/api/categories', authenticate, async (req, res) => {
+router.get('/api/categories', authenticate, async (req, res) => {
   try {
     const categories = await all(
-      'SELECT id, name, budget_type FROM UserCategory WHERE user_id = ? ORDER BY name COLLATE NOCASE',
+      `
+        SELECT id, name, budget_type, budget_type_override, monthly_limit, parent_id
+        FROM UserCategory
+        WHERE user_id = ?
+        ORDER BY name COLLATE NOCASE
+      `,
       [req.userId],
     );
 
-    res.json(categories);
+    res.json(buildCategoryTree(categories));
   } catch (error) {
     console.error('Failed to load categories:', error);
     res.status(500).json({ message: 'Failed to load categories.' });
   }
 });
 
-app.delete('/api/categories/:id', authenticate, async (req, res) => {
+router.patch('/api/categories/:id', authenticate, async (req, res) => {
   try {
-    const categoryId = Number.parseInt(req.params.id, 10);
+    const categoryId = parseRecordId(req.params.id);
 
-    if (!Number.isInteger(categoryId) || categoryId <= 0) {
+    if (!categoryId) {
       res.status(400).json({ message: 'Invalid category id.' });
       return;
     }
 
-    const category = await get(
-      'SELECT id FROM UserCategory WHERE id = ? AND user_id = ?',
+    const existing = await get(
+      `
+        SELECT id, name, budget_type, budget_type_override, monthly_limit, parent_id
+        FROM UserCategory
+        WHERE id = ? AND user_id = ?
+      `,
       [categoryId, req.userId],
     );
 
-    if (!category?.id) {
+    if (!existing?.id) {
       res.status(404).json({ message: 'Category not found.' });
       return;
     }
 
-    const usage = await get(
-      'SELECT COUNT(*) AS total FROM Expenditure WHERE user_id = ? AND user_category_id = ?',
-      [req.userId, categoryId],
-    );
+    const body = req.body || {};
+    const updated = { ...existing };
+    let parent = null;
 
-    if ((usage?.total || 0) > 0) {
-      res.status(400).json({ message: 'Cannot delete a category that has expenses.' });
-      return;
+    if (body.name !== undefined) {
+      updated.name = normalizeCategoryName(body.name);
     }
 
-    await run('DELETE FROM UserCategory WHERE id = ? AND user_id = ?', [categoryId, req.userId]);
-    res.status(204).send();
-  } catch (error) {
-    console.error('Failed to delete category:', error);
-    res.status(500).json({ message: 'Failed to delete category.' });
-  }
-});
-
-app.post('/api/users/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    const trimmedUsername = typeof username === 'string' ? username.trim() : '';
-    const passwordValue = typeof password === 'string' ? password : '';
+    if (body.parent_id !== undefined) {
+      updated.parent_id = body.parent_id === null || body.parent_id === ''
+        ? null
+        : (await resolveParentCategory(req.userId, body.parent_id, categoryId)).id;
+    }
 
-    if (!trimmedUsername || !passwordValue) {
-      res.status(400).json({ message: 'Username and password are required.' });
-      return;
+    if (updated.parent_id) {
+      if (updated.parent_id !== existing.parent_id && await countSubCategories(req.userId, categoryId) > 0) {
+        res.status(400).json({ message: 'A category with sub-categories cannot become a sub-category.' });
+        return;
+      }
+      parent = await resolveParentCategory(req.userId, updated.parent_id, categoryId);
     }
 
-    const user = await get('SELECT id, password_hash FROM User WHERE username = ?', [trimmedUsername]);
+    if (body.budget_type !== undefined) {
+      if (body.budget_type === null && parent) {
+        updated.budget_type_override = 0;
+      } else if (!BUDGET_TYPES.has(body.budget_type)) {
+        res.status(400).json({ message: 'Invalid budget type.' });
+        return;
+      } else {
+        updated.budget_type = body.budget_type;
+        updated.budget_type_override = parent ? 1 : 0;
+      }
+    }
 
-    if (!user?.id) {
-      res.status(401).json({ message: 'Invalid username or password.' });
-      return;
+    if (!parent) {
+      updated.budget_type_override = 0;
+    } else if (!updated.budget_type_override) {
+      updated.budget_type = parent.budget_type;
     }
 
-    const matches = await comparePassword(passwordValue, user.password_hash);
+    if (body.monthly_limit !== undefined) {
+      updated.monthly_limit = normalizeMonthlyLimit(body.monthly_limit);
+    }
 
-    if (!matches) {
-      res.status(401).json({ message: 'Invalid username or password.' });
+    if (updated.name !== existing.name && await isCategoryNameTaken(req.userId, updated.name, categoryId)) {
+      res.status(409).json({ message: 'Category name already exists.' });
       return;
     }
 
-    const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
-    res.json({ token });
+    await withTransaction(async () => {
+      await run(
+        `
+          UPDATE UserCategory
+          SET name = ?, budget_type = ?, budget_type_override = ?, monthly_limit = ?, parent_id = ?
+          WHERE id = ? AND user_id = ?
+        `,
+        [
+          updated.name,
+          updated.budget_type,
+          updated.budget_type_override,
+          updated.monthly_limit,
+          updated.parent_id,
+          categoryId,
+          req.userId,
+        ],
+      );
+
+      // Sub-categories that inherit their budget type follow the parent.
+      await run(
+        `
+          UPDATE UserCategory
+          SET budget_type = ?
+          WHERE user_id = ? AND parent_id = ? AND budget_type_override = 0
+        `,
+        [updated.budget_type, req.userId, categoryId],
+      );
+    });
+
+    res.json(serializeCategory(updated));
   } catch (error) {
-    console.error('Failed to log in user:', error);
-    res.status(500).json({ message: 'Failed to log in user.' });
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to update category:', error);
+    res.status(500).json({ message: 'Failed to update category.' });
   }
 });
 
-app.get('/api/transactions', authenticate, async (req, res) => {
+router.delete('/api/categories/:id', authenticate, async (req, res) => {
   try {
-    const limit = parseLimit(req.query.limit, 20, 50);
-    const sort = normalizeSort(req.query.sort);
-    const cursorString = typeof req.query.cursor === 'string' ? req.query.cursor : null;
-    const typeParamRaw = typeof req.query.type === 'string' ? req.query.type : null;
-    const categoryParamRaw = typeof req.query.category_id === 'string' ? req.query.category_id : null;
-    const fromParam = typeof req.query.from === 'string' ? req.query.from : null;
-    const toParam = typeof req.query.to === 'string' ? req.query.to : null;
-    const typeParam = typeParamRaw ? typeParamRaw.trim() : null;
-    const categoryParam = categoryParamRaw ? categoryParamRaw.trim() : null;
+    const categoryId = Number.parseInt(req.params.id, 10);
 
-    let decodedCursor = null;
-    if (cursorString) {
-      decodedCursor = decodeCursor(cursorString);
-      if (!decodedCursor || decodedCursor.sort !== sort) {
-        res.status(400).json({ message: 'Invalid cursor.' });
-        return;
-      }
+    if (!Number.isInteger(categoryId) || categoryId <= 0) {
+      res.status(400).json({ message: 'Invalid category id.' });
+      return;
     }
 
-    let typeFilter = null;
-    if (typeParam) {
-      typeFilter = normalizeType(typeParam);
-      if (!typeFilter) {
-        res.status(400).json({ message: 'Invalid type parameter.' });
-        return;
-      }
-    }
+    const category = await get(
+      'SELECT id FROM UserCategory WHERE id = ? AND user_id = ?',
+      [categoryId, req.userId],
+    );
 
-    let categoryFilter = null;
-    if (categoryParam) {
-      if (categoryParam.toLowerCase() === 'uncategorized') {
-        categoryFilter = { kind: 'uncategorized' };
-      } else {
-        const parsedCategory = Number.parseInt(categoryParam, 10);
-        if (Number.isNaN(parsedCategory) || parsedCategory <= 0) {
-          res.status(400).json({ message: 'Invalid category identifier.' });
-          return;
+    if (!category?.id) {
+      res.status(404).json({ message: 'Category not found.' });
+      return;
+    }
+
+    // Checked inside the transaction so an expense or sub-category added
+    // meanwhile cannot be orphaned by the delete.
+    await withTransaction(async () => {
+      const usage = await get(
+        `SELECT COUNT(*) AS total FROM (${EXPENSE_PARTS_SQL}) p WHERE p.user_id = ? AND p.user_category_id = ?`,
+        [req.userId, categoryId],
+      );
+
+      if ((usage?.total || 0) > 0) {
+        throw badRequest('Cannot delete a category that has expenses. Merge it into another category instead.');
+      }
+
+      if (await countSubCategories(req.userId, categoryId) > 0) {
+        throw badRequest('Cannot delete a category that has sub-categories. Move or merge them first.');
+      }
+
+      await run('DELETE FROM UserCategory WHERE id = ? AND user_id = ?', [categoryId, req.userId]);
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to delete category:', error);
+    res.status(500).json({ message: 'Failed to delete category.' });
+  }
+});
+
+// Moves every expense, split line, recurring template and sub-category from one category
+// to another, then deletes the emptied source category.
+router.post('/api/categories/:id/merge', authenticate, async (req, res) => {
+  try {
+    const sourceId = parseRecordId(req.params.id);
+    const targetId = parseRecordId(req.body?.target_id);
+
+    if (!sourceId) {
+      res.status(400).json({ message: 'Invalid category id.' });
+      return;
+    }
+
+    if (!targetId) {
+      res.status(400).json({ message: 'target_id must be a valid category id.' });
+      return;
+    }
+
+    if (sourceId === targetId) {
+      res.status(400).json({ message: 'A category cannot be merged into itself.' });
+      return;
+    }
+
+    let source;
+    let target;
+    let subCategoryCount;
+    let movedExpenses;
+    let movedSplitLines;
+    let movedRecurring;
+
+    // Checked inside the transaction so the target cannot become a
+    // sub-category, and the source cannot gain sub-categories, halfway through.
+    await withTransaction(async () => {
+      [source, target] = await Promise.all([
+        get('SELECT id, name FROM UserCategory WHERE id = ? AND user_id = ?', [sourceId, req.userId]),
+        get(
+          `
+            SELECT id, name, budget_type, budget_type_override, monthly_limit, parent_id
+            FROM UserCategory
+            WHERE id = ? AND user_id = ?
+          `,
+          [targetId, req.userId],
+        ),
+      ]);
+
+      if (!source?.id || !target?.id) {
+        throw Object.assign(new Error('Category not found.'), { statusCode: 404 });
+      }
+
+      subCategoryCount = await countSubCategories(req.userId, sourceId);
+      if (subCategoryCount > 0 && target.parent_id) {
+        throw badRequest('A category with sub-categories can only be merged into a top-level category.');
+      }
+
+      movedExpenses = await run(
+        'UPDATE Expenditure SET user_category_id = ? WHERE user_id = ? AND user_category_id = ?',
+        [targetId, req.userId, sourceId],
+      );
+      movedSplitLines = await run(
+        `
+          UPDATE ExpenditureSplit
+          SET user_category_id = ?
+          WHERE user_category_id = ?
+            AND expenditure_id IN (SELECT id FROM Expenditure WHERE user_id = ?)
+        `,
+        [targetId, sourceId, req.userId],
+      );
+      movedRecurring = await run(
+        'UPDATE RecurringExpenditure SET user_category_id = ? WHERE user_id = ? AND user_category_id = ?',
+        [targetId, req.userId, sourceId],
+      );
+      await run(
+        `
+          UPDATE UserCategory
+          SET parent_id = ?,
+              budget_type = CASE WHEN budget_type_override = 1 THEN budget_type ELSE ? END
+          WHERE user_id = ? AND parent_id = ?
+        `,
+        [targetId, target.budget_type, req.userId, sourceId],
+      );
+      await run('DELETE FROM UserCategory WHERE id = ? AND user_id = ?', [sourceId, req.userId]);
+
+      // As when an expense is edited, expenses that no longer have a Savings
+      // part lose their goal link.
+      if (target.budget_type !== 'Savings') {
+        await run(
+          `
+            UPDATE Expenditure
+            SET goal_id = NULL
+            WHERE user_id = ? AND goal_id IS NOT NULL
+              AND NOT EXISTS (
+                SELECT 1
+                FROM UserCategory c
+                WHERE c.budget_type = 'Savings'
+                  AND c.id IN (
+                    SELECT s.user_category_id FROM ExpenditureSplit s WHERE s.expenditure_id = Expenditure.id
+                    UNION ALL
+                    SELECT Expenditure.user_category_id
+                    WHERE NOT EXISTS (SELECT 1 FROM ExpenditureSplit s WHERE s.expenditure_id = Expenditure.id)
+                  )
+              )
+          `,
+          [req.userId],
+        );
+      }
+    });
+
+    res.json({
+      merged: { id: source.id, name: source.name },
+      target: serializeCategory(target),
+      moved: {
+        expenses: movedExpenses.changes,
+        split_lines: movedSplitLines.changes,
+        recurring: movedRecurring.changes,
+        sub_categories: subCategoryCount,
+      },
+    });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to merge categories:', error);
+    res.status(500).json({ message: 'Failed to merge categories.' });
+  }
+});
+
+function normalizeTagName(name) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmedName) {
+    throw badRequest('Tag name is required.');
+  }
+
+  if (trimmedName.length > 30) {
+    throw badRequest('Tag name must be between 1 and 30 characters.');
+  }
+
+  return trimmedName;
+}
+
+async function isTagNameTaken(userId, name, excludeId = null) {
+  const existing = await get(
+    'SELECT id FROM Tag WHERE user_id = ? AND LOWER(name) = LOWER(?) AND id IS NOT ?',
+    [userId, name, excludeId],
+  );
+  return Boolean(existing?.id);
+}
+
+router.post('/api/tags', authenticate, async (req, res) => {
+  try {
+    const name = normalizeTagName(req.body?.name);
+
+    if (await isTagNameTaken(req.userId, name)) {
+      res.status(409).json({ message: 'Tag name already exists.' });
+      return;
+    }
+
+    const countRow = await get('SELECT COUNT(*) AS count FROM Tag WHERE user_id = ?', [req.userId]);
+    if (Number(countRow?.count || 0) >= MAX_TAGS) {
+      res.status(400).json({ message: `Tag limit reached (${MAX_TAGS}).` });
+      return;
+    }
+
+    const result = await run('INSERT INTO Tag (user_id, name) VALUES (?, ?)', [req.userId, name]);
+    res.status(201).json({ id: result.lastID, name, transaction_count: 0 });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to create tag:', error);
+    res.status(500).json({ message: 'Failed to create tag.' });
+  }
+});
+
+router.get('/api/tags', authenticate, async (req, res) => {
+  try {
+    const tags = await all(
+      `
+        SELECT t.id,
+               t.name,
+               (SELECT COUNT(*) FROM IncomeTag it WHERE it.tag_id = t.id)
+                 + (SELECT COUNT(*) FROM ExpenditureTag et WHERE et.tag_id = t.id) AS transaction_count
+        FROM Tag t
+        WHERE t.user_id = ?
+        ORDER BY t.name COLLATE NOCASE
+      `,
+      [req.userId],
+    );
+
+    res.json(tags);
+  } catch (error) {
+    console.error('Failed to load tags:', error);
+    res.status(500).json({ message: 'Failed to load tags.' });
+  }
+});
+
+router.patch('/api/tags/:id', authenticate, async (req, res) => {
+  try {
+    const tagId = parseRecordId(req.params.id);
+
+    if (!tagId) {
+      res.status(400).json({ message: 'Invalid tag id.' });
+      return;
+    }
+
+    const existing = await get('SELECT id FROM Tag WHERE id = ? AND user_id = ?', [tagId, req.userId]);
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Tag not found.' });
+      return;
+    }
+
+    const name = normalizeTagName(req.body?.name);
+    if (await isTagNameTaken(req.userId, name, tagId)) {
+      res.status(409).json({ message: 'Tag name already exists.' });
+      return;
+    }
+
+    await run('UPDATE Tag SET name = ? WHERE id = ? AND user_id = ?', [name, tagId, req.userId]);
+    res.json({ id: tagId, name });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to rename tag:', error);
+    res.status(500).json({ message: 'Failed to rename tag.' });
+  }
+});
+
+// Deleting a tag only removes it from its transactions; they stay recorded.
+router.delete('/api/tags/:id', authenticate, async (req, res) => {
+  try {
+    const tagId = parseRecordId(req.params.id);
+
+    if (!tagId) {
+      res.status(400).json({ message: 'Invalid tag id.' });
+      return;
+    }
+
+    const result = await run('DELETE FROM Tag WHERE id = ? AND user_id = ?', [tagId, req.userId]);
+    if (!result.changes) {
+      res.status(404).json({ message: 'Tag not found.' });
+      return;
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Failed to delete tag:', error);
+    res.status(500).json({ message: 'Failed to delete tag.' });
+  }
+});
+
+async function resolveGoal(userId, rawGoalId) {
+  const goalId = parseRecordId(rawGoalId);
+  const goal = goalId
+    ? await get('SELECT id, name FROM SavingsGoal WHERE id = ? AND user_id = ?', [goalId, userId])
+    : null;
+
+  if (!goal?.id) {
+    throw badRequest('Invalid savings goal selection.');
+  }
+
+  return goal;
+}
+
+// Expenses count toward a goal only with the parts that are in Savings
+// categories, so at least one such part is needed to link one.
+function isSavingsExpense(category, splitLines) {
+  if (splitLines) {
+    return splitLines.some((line) => line.category?.budget_type === 'Savings');
+  }
+  return category?.budget_type === 'Savings';
+}
+
+// Sums each goal's contributions and linked Savings expense parts, and finds
+// the earliest of them so the projection can measure the saving rate.
+async function loadGoalSavings(userId, timeZone) {
+  const [contributionRows, expenseRows] = await Promise.all([
+    all(
+      `
+        SELECT c.goal_id, COALESCE(SUM(c.amount), 0) AS total, MIN(c.date) AS first_date
+        FROM GoalContribution c
+        JOIN SavingsGoal g ON g.id = c.goal_id
+        WHERE g.user_id = ?
+        GROUP BY c.goal_id
+      `,
+      [userId],
+    ),
+    all(
+      `
+        SELECT e.goal_id, COALESCE(SUM(p.amount), 0) AS total, MIN(p.date) AS first_date
+        FROM (${EXPENSE_PARTS_SQL}) p
+        JOIN Expenditure e ON e.id = p.expenditure_id
+        JOIN UserCategory uc ON uc.id = p.user_category_id
+        WHERE p.user_id = ? AND e.goal_id IS NOT NULL AND uc.budget_type = 'Savings'
+        GROUP BY e.goal_id
+      `,
+      [userId],
+    ),
+  ]);
+
+  const savings = new Map();
+  const add = (row, field) => {
+    const entry = savings.get(row.goal_id) || { contributed: 0, fromExpenses: 0, firstDate: null };
+    entry[field] = Number(row.total || 0);
+    const firstDate = getLocalDateKey(Date.parse(row.first_date), timeZone);
+    entry.firstDate = entry.firstDate && entry.firstDate < firstDate ? entry.firstDate : firstDate;
+    savings.set(row.goal_id, entry);
+  };
+  contributionRows.forEach((row) => add(row, 'contributed'));
+  expenseRows.forEach((row) => add(row, 'fromExpenses'));
+
+  return savings;
+}
+
+function serializeGoal(goal, savings, today, timeZone) {
+  const contributed = savings?.contributed || 0;
+  const fromExpenses = savings?.fromExpenses || 0;
+  const createdOn = getLocalDateKey(Date.parse(goal.created_at), timeZone);
+  const startedOn = savings?.firstDate && savings.firstDate < createdOn ? savings.firstDate : createdOn;
+
+  return {
+    id: goal.id,
+    name: goal.name,
+    target_amount: fromCents(goal.target_amount),
+    target_date: goal.target_date ?? null,
+    created_at: goal.created_at,
+    contributed: fromCents(contributed),
+    from_expenses: fromCents(fromExpenses),
+    ...describeGoalProgress(
+      { targetAmount: goal.target_amount, targetDate: goal.target_date, startedOn },
+      contributed + fromExpenses,
+      today,
+    ),
+  };
+}
+
+async function loadGoal(userId, goalId) {
+  return get(
+    'SELECT id, name, target_amount, target_date, created_at FROM SavingsGoal WHERE id = ? AND user_id = ?',
+    [goalId, userId],
+  );
+}
+
+async function isGoalNameTaken(userId, name, excludeId = null) {
+  const existing = await get(
+    'SELECT id FROM SavingsGoal WHERE user_id = ? AND LOWER(name) = LOWER(?) AND id IS NOT ?',
+    [userId, name, excludeId],
+  );
+  return Boolean(existing?.id);
+}
+
+router.get('/api/goals', authenticate, async (req, res) => {
+  try {
+    const timeZone = await getUserTimeZone(req.userId);
+    const [goals, savings] = await Promise.all([
+      all(
+        `
+          SELECT id, name, target_amount, target_date, created_at
+          FROM SavingsGoal
+          WHERE user_id = ?
+          ORDER BY target_date IS NULL, target_date, name COLLATE NOCASE
+        `,
+        [req.userId],
+      ),
+      loadGoalSavings(req.userId, timeZone),
+    ]);
+
+    const today = getLocalDateKey(Date.now(), timeZone);
+    res.json(goals.map((goal) => serializeGoal(goal, savings.get(goal.id), today, timeZone)));
+  } catch (error) {
+    console.error('Failed to load goals:', error);
+    res.status(500).json({ message: 'Failed to load goals.' });
+  }
+});
+
+router.post('/api/goals', authenticate, async (req, res) => {
+  try {
+    const timeZone = await getUserTimeZone(req.userId);
+    const today = getLocalDateKey(Date.now(), timeZone);
+    const fields = normalizeGoalFields(req.body || {}, { today });
+
+    if (await isGoalNameTaken(req.userId, fields.name)) {
+      res.status(409).json({ message: 'Goal name already exists.' });
+      return;
+    }
+
+    const countRow = await get('SELECT COUNT(*) AS count FROM SavingsGoal WHERE user_id = ?', [req.userId]);
+    if (Number(countRow?.count || 0) >= MAX_GOALS) {
+      res.status(400).json({ message: `Goal limit reached (${MAX_GOALS}).` });
+      return;
+    }
+
+    const createdAt = new Date().toISOString();
+    const result = await run(
+      'INSERT INTO SavingsGoal (user_id, name, target_amount, target_date, created_at) VALUES (?, ?, ?, ?, ?)',
+      [req.userId, fields.name, fields.target_amount, fields.target_date, createdAt],
+    );
+
+    res.status(201).json(serializeGoal({ id: result.lastID, ...fields, created_at: createdAt }, null, today, timeZone));
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to create goal:', error);
+    res.status(500).json({ message: 'Failed to create goal.' });
+  }
+});
+
+// One goal with its progress and the contributions and expenses behind it.
+router.get('/api/goals/:id', authenticate, async (req, res) => {
+  try {
+    const goalId = parseRecordId(req.params.id);
+    if (!goalId) {
+      res.status(400).json({ message: 'Invalid goal id.' });
+      return;
+    }
+
+    const goal = await loadGoal(req.userId, goalId);
+    if (!goal?.id) {
+      res.status(404).json({ message: 'Goal not found.' });
+      return;
+    }
+
+    const timeZone = await getUserTimeZone(req.userId);
+    const [savings, contributions, expenses] = await Promise.all([
+      loadGoalSavings(req.userId, timeZone),
+      all(
+        'SELECT id, amount, date, note FROM GoalContribution WHERE goal_id = ? ORDER BY date DESC, id DESC',
+        [goalId],
+      ),
+      all(
+        'SELECT id, amount, description, date FROM Expenditure WHERE goal_id = ? AND user_id = ? ORDER BY date DESC, id DESC',
+        [goalId, req.userId],
+      ),
+    ]);
+
+    res.json({
+      ...serializeGoal(goal, savings.get(goalId), getLocalDateKey(Date.now(), timeZone), timeZone),
+      contributions: contributions.map((row) => ({ ...row, amount: fromCents(row.amount) })),
+      expenses: expenses.map((row) => ({ ...row, amount: fromCents(row.amount) })),
+    });
+  } catch (error) {
+    console.error('Failed to load goal:', error);
+    res.status(500).json({ message: 'Failed to load goal.' });
+  }
+});
+
+router.patch('/api/goals/:id', authenticate, async (req, res) => {
+  try {
+    const goalId = parseRecordId(req.params.id);
+    if (!goalId) {
+      res.status(400).json({ message: 'Invalid goal id.' });
+      return;
+    }
+
+    const existing = await loadGoal(req.userId, goalId);
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Goal not found.' });
+      return;
+    }
+
+    const timeZone = await getUserTimeZone(req.userId);
+    const today = getLocalDateKey(Date.now(), timeZone);
+    const fields = normalizeGoalFields(req.body || {}, { partial: true, today });
+
+    if (fields.name !== undefined && await isGoalNameTaken(req.userId, fields.name, goalId)) {
+      res.status(409).json({ message: 'Goal name already exists.' });
+      return;
+    }
+
+    const goal = { ...existing, ...fields };
+    await run(
+      'UPDATE SavingsGoal SET name = ?, target_amount = ?, target_date = ? WHERE id = ? AND user_id = ?',
+      [goal.name, goal.target_amount, goal.target_date, goalId, req.userId],
+    );
+
+    const savings = await loadGoalSavings(req.userId, timeZone);
+    res.json(serializeGoal(goal, savings.get(goalId), today, timeZone));
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to update goal:', error);
+    res.status(500).json({ message: 'Failed to update goal.' });
+  }
+});
+
+// Deleting a goal removes its contributions; linked expenses stay recorded.
+router.delete('/api/goals/:id', authenticate, async (req, res) => {
+  try {
+    const goalId = parseRecordId(req.params.id);
+    if (!goalId) {
+      res.status(400).json({ message: 'Invalid goal id.' });
+      return;
+    }
+
+    const result = await run('DELETE FROM SavingsGoal WHERE id = ? AND user_id = ?', [goalId, req.userId]);
+    if (!result.changes) {
+      res.status(404).json({ message: 'Goal not found.' });
+      return;
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Failed to delete goal:', error);
+    res.status(500).json({ message: 'Failed to delete goal.' });
+  }
+});
+
+// Contributions record money put toward a goal outside of expenses, such as a
+// transfer to a savings account. They do not count as budget spending.
+router.post('/api/goals/:id/contributions', authenticate, async (req, res) => {
+  try {
+    const goalId = parseRecordId(req.params.id);
+    if (!goalId) {
+      res.status(400).json({ message: 'Invalid goal id.' });
+      return;
+    }
+
+    const goal = await loadGoal(req.userId, goalId);
+    if (!goal?.id) {
+      res.status(404).json({ message: 'Goal not found.' });
+      return;
+    }
+
+    const amountCents = parseAmountToCents(req.body?.amount);
+    const timeZone = await getUserTimeZone(req.userId);
+    const date = parseTransactionDate(req.body?.date, timeZone);
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 255) : '';
+
+    const result = await run(
+      'INSERT INTO GoalContribution (goal_id, amount, date, note) VALUES (?, ?, ?, ?)',
+      [goalId, amountCents, date, note],
+    );
+
+    const savings = await loadGoalSavings(req.userId, timeZone);
+    res.status(201).json({
+      contribution: { id: result.lastID, amount: fromCents(amountCents), date, note },
+      goal: serializeGoal(goal, savings.get(goalId), getLocalDateKey(Date.now(), timeZone), timeZone),
+    });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to add contribution:', error);
+    res.status(500).json({ message: 'Failed to add contribution.' });
+  }
+});
+
+router.delete('/api/goals/:id/contributions/:contributionId', authenticate, async (req, res) => {
+  try {
+    const goalId = parseRecordId(req.params.id);
+    const contributionId = parseRecordId(req.params.contributionId);
+    if (!goalId || !contributionId) {
+      res.status(400).json({ message: 'Invalid contribution id.' });
+      return;
+    }
+
+    const result = await run(
+      `
+        DELETE FROM GoalContribution
+        WHERE id = ? AND goal_id = ? AND goal_id IN (SELECT id FROM SavingsGoal WHERE user_id = ?)
+      `,
+      [contributionId, goalId, req.userId],
+    );
+
+    if (!result.changes) {
+      res.status(404).json({ message: 'Contribution not found.' });
+      return;
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Failed to delete contribution:', error);
+    res.status(500).json({ message: 'Failed to delete contribution.' });
+  }
+});
+
+router.post('/api/users/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const trimmedUsername = typeof username === 'string' ? username.trim() : '';
+    const passwordValue = typeof password === 'string' ? password : '';
+
+    if (!trimmedUsername || !passwordValue) {
+      res.status(400).json({ message: 'Username and password are required.' });
+      return;
+    }
+
+    const user = await get('SELECT id, password_hash FROM User WHERE username = ?', [trimmedUsername]);
+
+    if (!user?.id) {
+      res.status(401).json({ message: 'Invalid username or password.' });
+      return;
+    }
+
+    const matches = await comparePassword(passwordValue, user.password_hash);
+
+    if (!matches) {
+      res.status(401).json({ message: 'Invalid username or password.' });
+      return;
+    }
+
+    const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
+    res.json({ token });
+  } catch (error) {
+    console.error('Failed to log in user:', error);
+    res.status(500).json({ message: 'Failed to log in user.' });
+  }
+});
+
+router.get('/api/users/me', authenticate, async (req, res) => {
+  try {
+    const user = await get(
+      'SELECT id, username, timezone, base_currency, created_at FROM User WHERE id = ?',
+      [req.userId],
+    );
+
+    if (!user?.id) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Failed to load user profile:', error);
+    res.status(500).json({ message: 'Failed to load user profile.' });
+  }
+});
+
+router.patch('/api/users/me', authenticate, async (req, res) => {
+  try {
+    const { timezone, base_currency: rawBaseCurrency } = req.body || {};
+
+    if (timezone === undefined && rawBaseCurrency === undefined) {
+      res.status(400).json({ message: 'Nothing to update.' });
+      return;
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      res.status(400).json({ message: 'Invalid time zone.' });
+      return;
+    }
+
+    let baseCurrency;
+    if (rawBaseCurrency !== undefined) {
+      baseCurrency = normalizeCurrencyCode(rawBaseCurrency);
+      if (!baseCurrency) {
+        res.status(400).json({ message: 'Invalid currency code.' });
+        return;
+      }
+
+      // Reports convert every amount into the base currency, so each other
+      // currency in use needs a rate into the new base first.
+      const missing = await findUnconvertibleCurrencies(req.userId, baseCurrency);
+      if (missing.length) {
+        res.status(409).json({
+          message: `Add exchange rates into ${baseCurrency} for ${missing.join(', ')} before switching.`,
+          missing_currencies: missing,
+        });
+        return;
+      }
+    }
+
+    await withTransaction(async () => {
+      await run(
+        'UPDATE User SET timezone = COALESCE(?, timezone), base_currency = COALESCE(?, base_currency) WHERE id = ?',
+        [timezone ?? null, baseCurrency ?? null, req.userId],
+      );
+      // Rates take effect at local midnight, which moves with the time zone.
+      if (timezone !== undefined) {
+        await refreshRateEffectiveFrom(req.userId, timezone);
+      }
+    });
+
+    const user = await get(
+      'SELECT id, username, timezone, base_currency, created_at FROM User WHERE id = ?',
+      [req.userId],
+    );
+
+    if (!user?.id) {
+      res.status(404).json({ message: 'User not found.' });
+      return;
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Failed to update user profile:', error);
+    res.status(500).json({ message: 'Failed to update user profile.' });
+  }
+});
+
+// Validates exchange rate fields from a request body. With `partial`, only
+// the fields present are returned so PATCH can apply just those.
+function normalizeExchangeRateFields(body, { partial = false, timeZone }) {
+  const fields = {};
+
+  if (!partial || body.rate !== undefined) {
+    const rate = Number(body.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw badRequest('rate must be a positive number.');
+    }
+    fields.rate = rate;
+  }
+
+  if (!partial || body.effective_date !== undefined) {
+    const rawDate = body.effective_date;
+    if (rawDate === undefined || rawDate === null || rawDate === '') {
+      if (partial) {
+        throw badRequest('effective_date cannot be empty.');
+      }
+      fields.effective_date = getLocalDateKey(Date.now(), timeZone);
+    } else if (typeof rawDate !== 'string' || !parseLocalDate(rawDate.trim(), timeZone)) {
+      throw badRequest('effective_date must be a date in the YYYY-MM-DD format.');
+    } else {
+      fields.effective_date = rawDate.trim();
+    }
+  }
+
+  return fields;
+}
+
+// The base currency of a rate: the one named in `rawBaseCurrency`, or the
+// user's current base when it is missing. Naming another base lets rates into
+// it be entered before switching to it.
+async function resolveRateBaseCurrency(userId, rawBaseCurrency) {
+  if (rawBaseCurrency === undefined || rawBaseCurrency === '') {
+    return getUserBaseCurrency(userId);
+  }
+
+  const baseCurrency = normalizeCurrencyCode(rawBaseCurrency);
+  if (!baseCurrency) {
+    throw badRequest('Invalid base currency code.');
+  }
+  return baseCurrency;
+}
+
+// Rates are listed for one base currency, the current one by default; rates
+// entered for an earlier base stay stored in case the user switches back.
+router.get('/api/exchange-rates', authenticate, async (req, res) => {
+  try {
+    const baseCurrency = await resolveRateBaseCurrency(req.userId, req.query.base_currency);
+    const rates = await all(
+      `
+        SELECT id, currency, base_currency, rate, effective_date
+        FROM ExchangeRate
+        WHERE user_id = ? AND base_currency = ?
+        ORDER BY currency, effective_date DESC
+      `,
+      [req.userId, baseCurrency],
+    );
+
+    res.json(rates);
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to load exchange rates:', error);
+    res.status(500).json({ message: 'Failed to load exchange rates.' });
+  }
+});
+
+router.post('/api/exchange-rates', authenticate, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const currency = normalizeCurrencyCode(body.currency);
+    if (!currency) {
+      res.status(400).json({ message: 'Invalid currency code.' });
+      return;
+    }
+
+    const baseCurrency = await resolveRateBaseCurrency(req.userId, body.base_currency);
+    if (currency === baseCurrency) {
+      res.status(400).json({ message: `${currency} is the base currency and needs no exchange rate.` });
+      return;
+    }
+
+    const timeZone = await getUserTimeZone(req.userId);
+    const fields = normalizeExchangeRateFields(body, { timeZone });
+
+    const duplicate = await get(
+      'SELECT id FROM ExchangeRate WHERE user_id = ? AND currency = ? AND base_currency = ? AND effective_date = ?',
+      [req.userId, currency, baseCurrency, fields.effective_date],
+    );
+    if (duplicate?.id) {
+      res.status(409).json({ message: `A ${currency} rate for ${fields.effective_date} already exists.` });
+      return;
+    }
+
+    const countRow = await get('SELECT COUNT(*) AS count FROM ExchangeRate WHERE user_id = ?', [req.userId]);
+    if (Number(countRow?.count || 0) >= MAX_EXCHANGE_RATES) {
+      res.status(400).json({ message: `Exchange rate limit reached (${MAX_EXCHANGE_RATES}).` });
+      return;
+    }
+
+    const result = await run(
+      `
+        INSERT INTO ExchangeRate (user_id, currency, base_currency, rate, effective_date, effective_from)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+      [
+        req.userId,
+        currency,
+        baseCurrency,
+        fields.rate,
+        fields.effective_date,
+        getRateEffectiveFrom(fields.effective_date, timeZone),
+      ],
+    );
+
+    res.status(201).json({ id: result.lastID, currency, base_currency: baseCurrency, ...fields });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to create exchange rate:', error);
+    res.status(500).json({ message: 'Failed to create exchange rate.' });
+  }
+});
+
+router.patch('/api/exchange-rates/:id', authenticate, async (req, res) => {
+  try {
+    const rateId = parseRecordId(req.params.id);
+    if (!rateId) {
+      res.status(400).json({ message: 'Invalid exchange rate id.' });
+      return;
+    }
+
+    const existing = await get(
+      'SELECT id, currency, base_currency, rate, effective_date FROM ExchangeRate WHERE id = ? AND user_id = ?',
+      [rateId, req.userId],
+    );
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Exchange rate not found.' });
+      return;
+    }
+
+    const timeZone = await getUserTimeZone(req.userId);
+    const fields = normalizeExchangeRateFields(req.body || {}, { partial: true, timeZone });
+    const updated = { ...existing, ...fields };
+
+    const duplicate = await get(
+      `
+        SELECT id FROM ExchangeRate
+        WHERE user_id = ? AND currency = ? AND base_currency = ? AND effective_date = ? AND id <> ?
+      `,
+      [req.userId, updated.currency, updated.base_currency, updated.effective_date, rateId],
+    );
+    if (duplicate?.id) {
+      res.status(409).json({ message: `A ${updated.currency} rate for ${updated.effective_date} already exists.` });
+      return;
+    }
+
+    await run(
+      'UPDATE ExchangeRate SET rate = ?, effective_date = ?, effective_from = ? WHERE id = ? AND user_id = ?',
+      [
+        updated.rate,
+        updated.effective_date,
+        getRateEffectiveFrom(updated.effective_date, timeZone),
+        rateId,
+        req.userId,
+      ],
+    );
+
+    res.json(updated);
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to update exchange rate:', error);
+    res.status(500).json({ message: 'Failed to update exchange rate.' });
+  }
+});
+
+// The last rate of a currency that transactions or templates still use
+// cannot be deleted, since their amounts could no longer be converted.
+router.delete('/api/exchange-rates/:id', authenticate, async (req, res) => {
+  try {
+    const rateId = parseRecordId(req.params.id);
+    if (!rateId) {
+      res.status(400).json({ message: 'Invalid exchange rate id.' });
+      return;
+    }
+
+    const existing = await get(
+      'SELECT id, currency, base_currency FROM ExchangeRate WHERE id = ? AND user_id = ?',
+      [rateId, req.userId],
+    );
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Exchange rate not found.' });
+      return;
+    }
+
+    await withTransaction(async () => {
+      await run('DELETE FROM ExchangeRate WHERE id = ? AND user_id = ?', [rateId, req.userId]);
+
+      const baseCurrency = await getUserBaseCurrency(req.userId);
+      if (existing.base_currency === baseCurrency) {
+        const missing = await findUnconvertibleCurrencies(req.userId, baseCurrency);
+        if (missing.includes(existing.currency)) {
+          throw Object.assign(
+            new Error(`${existing.currency} is still in use and needs at least one exchange rate.`),
+            { statusCode: 409 },
+          );
+        }
+      }
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to delete exchange rate:', error);
+    res.status(500).json({ message: 'Failed to delete exchange rate.' });
+  }
+});
+
+// Turns free text into an FTS5 query that matches every word as a prefix, so
+// "amaz mar" finds "Amazon Marketplace". Words are quoted, which keeps FTS5
+// operators and punctuation in the input from being interpreted.
+function buildSearchQuery(text) {
+  if (text.length > MAX_SEARCH_LENGTH) {
+    throw badRequest(`Search text must be at most ${MAX_SEARCH_LENGTH} characters.`);
+  }
+
+  const words = text.match(/[\p{L}\p{N}]+/gu);
+  if (!words) {
+    throw badRequest('Search text must contain letters or numbers.');
+  }
+
+  return words.map((word) => `"${word}"*`).join(' ');
+}
+
+// Amount bounds are inclusive and compare against the full transaction
+// amount, including the total of a split expense.
+function parseAmountBound(value, name) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const amount = Number(value.trim());
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw badRequest(`${name} must be a non-negative number.`);
+  }
+
+  return amount;
+}
+
+// Parses the type, category and date range filters shared by the
+// transaction list and export endpoints.
+function parseTransactionFilters(query, timeZone) {
+  const typeParamRaw = typeof query.type === 'string' ? query.type : null;
+  const categoryParamRaw = typeof query.category_id === 'string' ? query.category_id : null;
+  const fromParam = typeof query.from === 'string' ? query.from : null;
+  const toParam = typeof query.to === 'string' ? query.to : null;
+  const searchParam = typeof query.q === 'string' ? query.q.trim() : '';
+  const tagParam = typeof query.tag === 'string' ? query.tag.trim() : '';
+  const typeParam = typeParamRaw ? typeParamRaw.trim() : null;
+  const categoryParam = categoryParamRaw ? categoryParamRaw.trim() : null;
+
+  let typeFilter = null;
+  if (typeParam) {
+    typeFilter = normalizeType(typeParam);
+    if (!typeFilter) {
+      throw badRequest('Invalid type parameter.');
+    }
+  }
+
+  // category_id takes a comma-separated list of ids, optionally including
+  // "uncategorized", e.g. category_id=3,7,uncategorized.
+  let categoryFilter = null;
+  if (categoryParam) {
+    const ids = new Set();
+    let uncategorized = false;
+
+    categoryParam.split(',').map((value) => value.trim()).filter(Boolean).forEach((value) => {
+      if (value.toLowerCase() === 'uncategorized') {
+        uncategorized = true;
+        return;
+      }
+
+      const parsedCategory = parseRecordId(value);
+      if (!parsedCategory) {
+        throw badRequest('Invalid category identifier.');
+      }
+      ids.add(parsedCategory);
+    });
+
+    if (ids.size > MAX_FILTER_CATEGORIES) {
+      throw badRequest(`Filter by at most ${MAX_FILTER_CATEGORIES} categories at once.`);
+    }
+
+    if (ids.size || uncategorized) {
+      categoryFilter = { ids: Array.from(ids), uncategorized };
+    }
+  }
+
+  if (typeFilter === 'Income' && categoryFilter) {
+    throw badRequest('Category filter only applies to expenses.');
+  }
+
+  let dateFrom = null;
+  if (fromParam) {
+    dateFrom = parseRangeBoundary(fromParam, 'from', false, timeZone);
+  }
+
+  // Date-only values cover the whole local day; fetchTransactions treats
+  // dateTo as inclusive, so step back from the start of the next day.
+  let dateTo = null;
+  if (toParam) {
+    const toBoundary = parseRangeBoundary(toParam, 'to', true, timeZone);
+    dateTo = /^\d{4}-\d{2}-\d{2}$/.test(toParam.trim())
+      ? new Date(new Date(toBoundary).getTime() - 1).toISOString()
+      : toBoundary;
+  }
+
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    throw badRequest('from must be earlier than to.');
+  }
+
+  // tag takes a comma-separated list of tag ids, like category_id.
+  let tagFilter = null;
+  if (tagParam) {
+    const tagIds = [...new Set(tagParam.split(',').map((value) => value.trim()).filter(Boolean).map(parseRecordId))];
+    if (tagIds.includes(null)) {
+      throw badRequest('Invalid tag identifier.');
+    }
+    if (tagIds.length > MAX_TAGS) {
+      throw badRequest(`Filter by at most ${MAX_TAGS} tags at once.`);
+    }
+    tagFilter = tagIds.length ? tagIds : null;
+  }
+
+  const minAmount = parseAmountBound(query.min_amount, 'min_amount');
+  const maxAmount = parseAmountBound(query.max_amount, 'max_amount');
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw badRequest('min_amount must not be greater than max_amount.');
+  }
+
+  return {
+    typeFilter,
+    categoryFilter,
+    tagFilter,
+    searchQuery: searchParam ? buildSearchQuery(searchParam) : null,
+    minAmount,
+    maxAmount,
+    dateFrom,
+    dateTo,
+  };
+}
+
+router.get('/api/transactions', authenticate, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const sort = normalizeSort(req.query.sort);
+    const cursorString = typeof req.query.cursor === 'string' ? req.query.cursor : null;
+
+    let decodedCursor = null;
+    if (cursorString) {
+      decodedCursor = decodeCursor(cursorString);
+      if (!decodedCursor || decodedCursor.sort !== sort) {
+        res.status(400).json({ message: 'Invalid cursor.' });
+        return;
+      }
+    }
+
+    const timeZone = await getUserTimeZone(req.userId);
+    const filters = parseTransactionFilters(req.query, timeZone);
+
+    const result = await fetchTransactions({
+      userId: req.userId,
+      limit,
+      sort,
+      cursor: decodedCursor,
+      ...filters,
+    });
+
+    res.json({
+      items: result.items,
+      nextCursor: result.nextCursor,
+    });
+  } catch (error) {
+    const status = error?.statusCode || 500;
+    if (status >= 500) {
+      console.error('Failed to load transactions:', error);
+    }
+    res.status(status).json({ message: error?.message || 'Failed to load transactions.' });
+  }
+});
+
+// Writes a chunk and waits for the socket to drain when its buffer is full.
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await new Promise((resolve) => res.once('drain', resolve));
+  }
+}
+
+const TRANSACTION_EXPORT_PAGE_SIZE = 500;
+const TRANSACTION_EXPORT_COLUMNS = [
+  'id',
+  'date',
+  'type',
+  'amount',
+  'currency',
+  'base_amount',
+  'description',
+  'category_name',
+  'budget_type',
+  'tags',
+];
+
+function serializeExportedTransaction(item) {
+  const exported = {
+    id: item.id,
+    date: item.date,
+    type: item.type,
+    amount: item.amount,
+    currency: item.currency,
+    base_amount: item.base_amount,
+    description: (item.type === 'Income' ? item.source : item.description) || '',
+    category_name: item.category_name || null,
+    budget_type: item.category_budget_type || null,
+    tags: item.tags.map((tag) => tag.name).join('; '),
+  };
+
+  // Split expenses list every part in the category columns, e.g.
+  // "Groceries (40.00); Household (20.00)".
+  if (item.splits) {
+    exported.category_name = item.splits
+      .map((line) => `${line.category_name || 'Uncategorized'} (${line.amount.toFixed(2)})`)
+      .join('; ');
+    exported.budget_type = [...new Set(item.splits.map((line) => line.category_budget_type).filter(Boolean))]
+      .join('; ') || null;
+    exported.splits = item.splits;
+  }
+
+  return exported;
+}
+
+// Streams the full filtered history page by page over the same keyset cursor
+// as the list endpoint, so large exports never sit in memory at once.
+router.get('/api/transactions/export', authenticate, async (req, res) => {
+  try {
+    const format = typeof req.query.format === 'string' ? req.query.format.trim().toLowerCase() : 'csv';
+
+    if (format !== 'csv' && format !== 'json') {
+      res.status(400).json({ message: 'Format must be csv or json.' });
+      return;
+    }
+
+    const sort = normalizeSort(req.query.sort);
+    const timeZone = await getUserTimeZone(req.userId);
+    const filters = parseTransactionFilters(req.query, timeZone);
+
+    const fileName = `budgetwise-transactions-${getLocalDateKey(Date.now(), timeZone)}.${format}`;
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    });
+
+    await writeChunk(res, format === 'csv' ? `${formatCsvRow(TRANSACTION_EXPORT_COLUMNS)}\r\n` : '[');
+
+    let cursor = null;
+    let first = true;
+    do {
+      const page = await fetchTransactions({
+        userId: req.userId,
+        limit: TRANSACTION_EXPORT_PAGE_SIZE,
+        maxLimit: TRANSACTION_EXPORT_PAGE_SIZE,
+        sort,
+        cursor,
+        ...filters,
+      });
+
+      const rows = page.items.map(serializeExportedTransaction);
+      if (rows.length) {
+        const chunk = format === 'csv'
+          ? rows.map((row) => `${formatCsvRow(TRANSACTION_EXPORT_COLUMNS.map((column) => row[column]))}\r\n`).join('')
+          : `${first ? '' : ','}\n${rows.map((row) => JSON.stringify(row)).join(',\n')}`;
+        await writeChunk(res, chunk);
+        first = false;
+      }
+
+      cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+    } while (cursor && !res.destroyed);
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Transaction export interrupted:', error);
+      res.destroy(error);
+      return;
+    }
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to export transactions:', error);
+    res.status(500).json({ message: 'Failed to export transactions.' });
+  }
+});
+
+function getStatementRowKey(type, date, amount, text) {
+  return `${type}|${date}|${Number(amount).toFixed(2)}|${(text || '').trim().toLowerCase()}`;
+}
+
+// Counts the user's existing income and expenses per (type, date, amount,
+// text) key so re-importing an overlapping statement skips rows it already has.
+async function getExistingStatementKeys(userId, dates) {
+  const counts = new Map();
+  if (!dates.length) {
+    return counts;
+  }
+
+  const sorted = [...dates].sort();
+  const range = [userId, sorted[0], sorted[sorted.length - 1]];
+  const [incomeRows, expenseRows] = await Promise.all([
+    all('SELECT date, amount, source AS text FROM Income WHERE user_id = ? AND date BETWEEN ? AND ?', range),
+    all('SELECT date, amount, description AS text FROM Expenditure WHERE user_id = ? AND date BETWEEN ? AND ?', range),
+  ]);
+
+  const addRows = (rows, type) => rows.forEach((row) => {
+    const key = getStatementRowKey(type, row.date, fromCents(row.amount), row.text);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  addRows(incomeRows, 'Income');
+  addRows(expenseRows, 'Expense');
+
+  return counts;
+}
+
+router.post('/api/transactions/import', authenticate, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const {
+      csv,
+      has_header: hasHeader = true,
+      delimiter = ',',
+      user_category_id: userCategoryId,
+      currency: rawCurrency,
+      commit = false,
+    } = body;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      res.status(400).json({ message: 'CSV content is required.' });
+      return;
+    }
+
+    if (!STATEMENT_DELIMITERS.has(delimiter)) {
+      res.status(400).json({ message: 'Delimiter must be a comma, semicolon, tab or pipe.' });
+      return;
+    }
+
+    const rows = parseCsv(csv, { delimiter });
+    const header = hasHeader ? rows.shift() || [] : null;
+
+    if (!rows.length) {
+      res.status(400).json({ message: 'The CSV has no data rows.' });
+      return;
+    }
+
+    if (rows.length > STATEMENT_IMPORT_MAX_ROWS) {
+      res.status(400).json({ message: `CSV imports are limited to ${STATEMENT_IMPORT_MAX_ROWS} rows.` });
+      return;
+    }
+
+    const columnCount = Math.max(header ? header.length : 0, ...rows.map((cells) => cells.length));
+    const columns = header
+      ? header.map((name) => name.trim())
+      : Array.from({ length: columnCount }, (_, index) => `Column ${index + 1}`);
+
+    // Without a mapping, describe the file so the client can ask the user
+    // which column holds what.
+    if (!body.mapping && !commit) {
+      res.json({
+        needs_mapping: true,
+        columns,
+        total_rows: rows.length,
+        sample: rows.slice(0, 5),
+      });
+      return;
+    }
+
+    const options = normalizeImportOptions(body, header);
+    // The whole statement is in one currency, the base currency by default.
+    const currency = await resolveTransactionCurrency(req.userId, rawCurrency);
+
+    let category = null;
+    if (userCategoryId !== undefined && userCategoryId !== null && userCategoryId !== '') {
+      const categoryId = parseRecordId(userCategoryId);
+      category = categoryId
+        ? await get(
+          'SELECT id, name, budget_type FROM UserCategory WHERE id = ? AND user_id = ?',
+          [categoryId, req.userId],
+        )
+        : null;
+
+      if (!category?.id) {
+        res.status(400).json({ message: 'Invalid category selection.' });
+        return;
+      }
+    }
+
+    const timeZone = await getUserTimeZone(req.userId);
+    const parsedRows = rows.map((cells, index) => {
+      const mapped = mapStatementRow(cells, options);
+      if (mapped.error) {
+        return { row: index + 1, status: 'invalid', error: mapped.error };
+      }
+
+      try {
+        return {
+          row: index + 1,
+          status: 'ok',
+          type: mapped.type,
+          amount: mapped.amount,
+          date: parseTransactionDate(mapped.dateKey, timeZone, STATEMENT_DATE_OPTIONS),
+          description: mapped.description,
+        };
+      } catch (dateError) {
+        if (!dateError?.statusCode) {
+          throw dateError;
+        }
+        return { row: index + 1, status: 'invalid', error: dateError.message };
+      }
+    });
+
+    const validRows = parsedRows.filter((row) => row.status === 'ok');
+    const existingKeys = await getExistingStatementKeys(req.userId, validRows.map((row) => row.date));
+    validRows.forEach((row) => {
+      const key = getStatementRowKey(row.type, row.date, row.amount, row.description);
+      const remaining = existingKeys.get(key) || 0;
+      if (remaining > 0) {
+        existingKeys.set(key, remaining - 1);
+        row.status = 'duplicate';
+      }
+    });
+
+    const rowsToInsert = validRows.filter((row) => row.status === 'ok');
+    const summary = {
+      income: rowsToInsert.filter((row) => row.type === 'Income').length,
+      expenses: rowsToInsert.filter((row) => row.type === 'Expense').length,
+      duplicates: validRows.length - rowsToInsert.length,
+      invalid: parsedRows.length - validRows.length,
+    };
+
+    if (!commit) {
+      res.json({
+        columns,
+        total_rows: parsedRows.length,
+        rows: parsedRows.slice(0, STATEMENT_PREVIEW_ROWS),
+        summary,
+      });
+      return;
+    }
+
+    await withTransaction(async () => {
+      for (const row of rowsToInsert) {
+        if (row.type === 'Income') {
+          await createIncome(
+            req.userId,
+            { amount: row.amount, currency, source: row.description, date: row.date },
+            { timeZone, checkDateWindow: false },
+          );
+        } else {
+          await createExpense(
+            req.userId,
+            {
+              amount: row.amount,
+              currency,
+              description: row.description,
+              date: row.date,
+              user_category_id: category?.id ?? null,
+            },
+            { timeZone, checkDateWindow: false },
+          );
         }
-        categoryFilter = { kind: 'id', value: parsedCategory };
       }
+    });
+
+    res.json({
+      inserted: {
+        income: summary.income,
+        expenses: summary.expenses,
+      },
+      skipped: {
+        duplicates: summary.duplicates,
+        invalid: summary.invalid,
+      },
+    });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to import transactions:', error);
+    res.status(500).json({ message: 'Failed to import transactions.' });
+  }
+});
+
+router.post('/api/transactions/import/ofx', authenticate, async (req, res) => {
+  try {
+    const {
+      ofx,
+      user_category_id: userCategoryId,
+      currency: rawCurrency,
+      commit = false,
+    } = req.body || {};
+
+    if (typeof ofx !== 'string' || !ofx.trim()) {
+      res.status(400).json({ message: 'OFX content is required.' });
+      return;
+    }
+
+    const transactions = parseOfx(ofx);
+    const currency = await resolveTransactionCurrency(req.userId, rawCurrency);
+
+    if (!transactions.length) {
+      res.status(400).json({ message: 'The OFX file has no transactions.' });
+      return;
     }
 
-    if (typeFilter === 'Income' && categoryFilter) {
-      res.status(400).json({ message: 'Category filter only applies to expenses.' });
+    if (transactions.length > STATEMENT_IMPORT_MAX_ROWS) {
+      res.status(400).json({ message: `OFX imports are limited to ${STATEMENT_IMPORT_MAX_ROWS} transactions.` });
       return;
     }
 
-    let dateFrom = null;
-    if (fromParam) {
-      const fromValue = new Date(fromParam);
-      if (Number.isNaN(fromValue.getTime())) {
-        res.status(400).json({ message: 'Invalid from date.' });
+    let category = null;
+    if (userCategoryId !== undefined && userCategoryId !== null && userCategoryId !== '') {
+      const categoryId = parseRecordId(userCategoryId);
+      category = categoryId
+        ? await get(
+          'SELECT id, name, budget_type FROM UserCategory WHERE id = ? AND user_id = ?',
+          [categoryId, req.userId],
+        )
+        : null;
+
+      if (!category?.id) {
+        res.status(400).json({ message: 'Invalid category selection.' });
         return;
       }
-      dateFrom = fromValue.toISOString();
     }
 
-    let dateTo = null;
-    if (toParam) {
-      const toValue = new Date(toParam);
-      if (Number.isNaN(toValue.getTime())) {
-        res.status(400).json({ message: 'Invalid to date.' });
-        return;
+    const importedRows = await all(
+      'SELECT account_id, fitid FROM StatementTransaction WHERE user_id = ?',
+      [req.userId],
+    );
+    const seenFitids = new Set(importedRows.map((row) => `${row.account_id}|${row.fitid}`));
+
+    const timeZone = await getUserTimeZone(req.userId);
+    const parsedRows = transactions.map((transaction, index) => {
+      const base = { row: index + 1, fitid: transaction.fitid };
+
+      if (!transaction.fitid) {
+        return { ...base, status: 'invalid', error: 'Missing FITID.' };
+      }
+
+      if (!transaction.dateKey) {
+        return { ...base, status: 'invalid', error: `Unreadable date "${transaction.rawDate}".` };
+      }
+
+      if (transaction.amount === null) {
+        return { ...base, status: 'invalid', error: `Unreadable amount "${transaction.rawAmount}".` };
+      }
+
+      if (transaction.amount === 0) {
+        return { ...base, status: 'invalid', error: 'Amount is zero.' };
+      }
+
+      // As in manual entry, more than two decimal places make the row invalid.
+      let amount;
+      try {
+        amount = fromCents(parseAmountToCents(Math.abs(transaction.amount)));
+      } catch (amountError) {
+        if (!amountError?.statusCode) {
+          throw amountError;
+        }
+        return { ...base, status: 'invalid', error: amountError.message };
       }
-      dateTo = toValue.toISOString();
+
+      let date;
+      try {
+        date = parseTransactionDate(transaction.dateKey, timeZone, STATEMENT_DATE_OPTIONS);
+      } catch (dateError) {
+        if (!dateError?.statusCode) {
+          throw dateError;
+        }
+        return { ...base, status: 'invalid', error: dateError.message };
+      }
+
+      // FITIDs are unique per account, so the account is part of the key.
+      const key = `${transaction.accountId}|${transaction.fitid}`;
+      const status = seenFitids.has(key) ? 'duplicate' : 'ok';
+      seenFitids.add(key);
+
+      return {
+        ...base,
+        status,
+        accountId: transaction.accountId,
+        type: transaction.amount < 0 ? 'Expense' : 'Income',
+        amount,
+        date,
+        description: transaction.description,
+      };
+    });
+
+    const rowsToInsert = parsedRows.filter((row) => row.status === 'ok');
+    const summary = {
+      income: rowsToInsert.filter((row) => row.type === 'Income').length,
+      expenses: rowsToInsert.filter((row) => row.type === 'Expense').length,
+      duplicates: parsedRows.filter((row) => row.status === 'duplicate').length,
+      invalid: parsedRows.filter((row) => row.status === 'invalid').length,
+    };
+
+    if (!commit) {
+      res.json({
+        total_rows: parsedRows.length,
+        rows: parsedRows.slice(0, STATEMENT_PREVIEW_ROWS).map(({ accountId, ...row }) => row),
+        summary,
+      });
+      return;
     }
 
-    if (dateFrom && dateTo && dateFrom > dateTo) {
-      res.status(400).json({ message: 'from must be earlier than to.' });
+    let insertedIncome = 0;
+    let insertedExpenses = 0;
+
+    await withTransaction(async () => {
+      for (const row of rowsToInsert) {
+        // Claiming the FITID first keeps overlapping imports from posting the
+        // same statement line twice.
+        const claim = await run(
+          'INSERT OR IGNORE INTO StatementTransaction (user_id, account_id, fitid) VALUES (?, ?, ?)',
+          [req.userId, row.accountId, row.fitid],
+        );
+
+        if (!claim.changes) {
+          summary.duplicates += 1;
+          continue;
+        }
+
+        if (row.type === 'Income') {
+          const income = await createIncome(
+            req.userId,
+            { amount: row.amount, currency, source: row.description, date: row.date },
+            { timeZone, checkDateWindow: false },
+          );
+          await run(
+            'UPDATE StatementTransaction SET income_id = ? WHERE user_id = ? AND account_id = ? AND fitid = ?',
+            [income.id, req.userId, row.accountId, row.fitid],
+          );
+          insertedIncome += 1;
+        } else {
+          const expense = await createExpense(
+            req.userId,
+            {
+              amount: row.amount,
+              currency,
+              description: row.description,
+              date: row.date,
+              user_category_id: category?.id ?? null,
+            },
+            { timeZone, checkDateWindow: false },
+          );
+          await run(
+            'UPDATE StatementTransaction SET expenditure_id = ? WHERE user_id = ? AND account_id = ? AND fitid = ?',
+            [expense.id, req.userId, row.accountId, row.fitid],
+          );
+          insertedExpenses += 1;
+        }
+      }
+    });
+
+    res.json({
+      inserted: {
+        income: insertedIncome,
+        expenses: insertedExpenses,
+      },
+      skipped: {
+        duplicates: summary.duplicates,
+        invalid: summary.invalid,
+      },
+    });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
       return;
     }
+    console.error('Failed to import OFX statement:', error);
+    res.status(500).json({ message: 'Failed to import OFX statement.' });
+  }
+});
 
-    const result = await fetchTransactions({
-      userId: req.userId,
-      limit,
-      sort,
-      cursor: decodedCursor,
-      typeFilter,
-      categoryFilter,
-      dateFrom,
-      dateTo,
+// Validates tag_ids from a request body: undefined leaves tags unchanged,
+// null or [] clears them, otherwise every id must be one of the user's tags.
+async function normalizeTagIds(userId, tagIds) {
+  if (tagIds === undefined) {
+    return undefined;
+  }
+
+  if (tagIds === null) {
+    return [];
+  }
+
+  if (!Array.isArray(tagIds)) {
+    throw badRequest('tag_ids must be an array of tag ids.');
+  }
+
+  const ids = [...new Set(tagIds.map(parseRecordId))];
+  if (ids.includes(null)) {
+    throw badRequest('tag_ids must be an array of tag ids.');
+  }
+
+  if (ids.length > MAX_TRANSACTION_TAGS) {
+    throw badRequest(`A transaction can have at most ${MAX_TRANSACTION_TAGS} tags.`);
+  }
+
+  if (ids.length) {
+    const found = await get(
+      `SELECT COUNT(*) AS count FROM Tag WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+      [userId, ...ids],
+    );
+    if (Number(found?.count || 0) !== ids.length) {
+      throw badRequest('Invalid tag selection.');
+    }
+  }
+
+  return ids;
+}
+
+async function saveTransactionTags(type, recordId, tagIds) {
+  const { table, column } = TAG_LINKS[type];
+  await run(`DELETE FROM ${table} WHERE ${column} = ?`, [recordId]);
+  for (const tagId of tagIds) {
+    await run(`INSERT INTO ${table} (${column}, tag_id) VALUES (?, ?)`, [recordId, tagId]);
+  }
+}
+
+// Returns a Map of record id to its tags ({ id, name }) for one transaction type.
+async function loadTransactionTags(type, recordIds) {
+  const tagsByRecord = new Map();
+  if (!recordIds.length) {
+    return tagsByRecord;
+  }
+
+  const { table, column } = TAG_LINKS[type];
+  const rows = await all(
+    `
+      SELECT l.${column} AS record_id, t.id, t.name
+      FROM ${table} l
+      JOIN Tag t ON t.id = l.tag_id
+      WHERE l.${column} IN (${recordIds.map(() => '?').join(', ')})
+      ORDER BY t.name COLLATE NOCASE
+    `,
+    recordIds,
+  );
+
+  rows.forEach((row) => {
+    const tags = tagsByRecord.get(row.record_id) || [];
+    tags.push({ id: row.id, name: row.name });
+    tagsByRecord.set(row.record_id, tags);
+  });
+
+  return tagsByRecord;
+}
+
+async function tagsForRecord(type, recordId) {
+  return (await loadTransactionTags(type, [recordId])).get(recordId) || [];
+}
+
+// Shared create path for income, used by POST /api/income and the statement
+// importers. `timeZone` may be passed to skip the lookup in bulk imports, and
+// `checkDateWindow: false` lets imports post dates outside the manual-entry
+// window.
+async function createIncome(userId, {
+  amount,
+  currency: rawCurrency,
+  source,
+  date,
+  tag_ids: rawTagIds,
+}, { timeZone, checkDateWindow = true } = {}) {
+  const amountCents = parseAmountToCents(amount);
+  const trimmedSource = typeof source === 'string' ? source.trim().slice(0, 255) : '';
+  const timestamp = parseTransactionDate(date, timeZone || await getUserTimeZone(userId), {
+    checkWindow: checkDateWindow,
+  });
+  const currency = await resolveTransactionCurrency(userId, rawCurrency);
+  const tagIds = await normalizeTagIds(userId, rawTagIds);
+
+  // Inside a statement import this becomes a savepoint of its transaction.
+  const result = await withTransaction(async () => {
+    const inserted = await run(
+      'INSERT INTO Income (user_id, amount, currency, source, date) VALUES (?, ?, ?, ?, ?)',
+      [userId, amountCents, currency, trimmedSource, timestamp],
+    );
+    if (tagIds?.length) {
+      await saveTransactionTags('Income', inserted.lastID, tagIds);
+    }
+    return inserted;
+  });
+
+  return {
+    id: result.lastID,
+    amount: fromCents(amountCents),
+    currency,
+    source: trimmedSource,
+    tags: tagIds?.length ? await tagsForRecord('Income', result.lastID) : [],
+    date: timestamp,
+  };
+}
+
+// Validates the split lines of an expense: 2 or more lines with positive
+// amounts and optional categories that add up to the expense total. Line
+// amounts and the total are in cents.
+async function normalizeExpenseSplits(userId, splits, totalCents) {
+  if (!Array.isArray(splits) || splits.length < 2 || splits.length > MAX_EXPENSE_SPLITS) {
+    throw badRequest(`A split expense needs between 2 and ${MAX_EXPENSE_SPLITS} lines.`);
+  }
+
+  const lines = splits.map((line, index) => {
+    const amount = parseAmountToCents(line?.amount, `Split line ${index + 1} amount`);
+
+    const rawCategoryId = line.user_category_id;
+    const categoryId = rawCategoryId === undefined || rawCategoryId === null || rawCategoryId === ''
+      ? null
+      : parseRecordId(rawCategoryId);
+    if (categoryId === null && rawCategoryId !== undefined && rawCategoryId !== null && rawCategoryId !== '') {
+      throw badRequest('Invalid category selection.');
+    }
+
+    return { user_category_id: categoryId, amount, category: null };
+  });
+
+  const categoryIds = [...new Set(lines.map((line) => line.user_category_id).filter(Boolean))];
+  if (categoryIds.length) {
+    const categories = await all(
+      `SELECT id, name, budget_type FROM UserCategory WHERE user_id = ? AND id IN (${categoryIds.map(() => '?').join(', ')})`,
+      [userId, ...categoryIds],
+    );
+    if (categories.length !== categoryIds.length) {
+      throw badRequest('Invalid category selection.');
+    }
+
+    const categoryById = new Map(categories.map((category) => [category.id, category]));
+    lines.forEach((line) => {
+      line.category = line.user_category_id ? categoryById.get(line.user_category_id) : null;
+    });
+  }
+
+  if (lines.reduce((sum, line) => sum + line.amount, 0) !== totalCents) {
+    throw badRequest('Split amounts must add up to the expense amount.');
+  }
+
+  return lines;
+}
+
+async function saveExpenseSplits(expenseId, lines) {
+  await run('DELETE FROM ExpenditureSplit WHERE expenditure_id = ?', [expenseId]);
+  for (const line of lines || []) {
+    await run(
+      'INSERT INTO ExpenditureSplit (expenditure_id, user_category_id, amount) VALUES (?, ?, ?)',
+      [expenseId, line.user_category_id, line.amount],
+    );
+  }
+}
+
+// Split lines as returned by the API, with decimal amounts.
+function serializeSplitLines(lines) {
+  return lines ? lines.map((line) => ({ ...line, amount: fromCents(line.amount) })) : null;
+}
+
+// Returns a Map of expense id to its split lines, in the order they were saved.
+async function loadExpenseSplits(expenseIds) {
+  const splitsByExpense = new Map();
+  if (!expenseIds.length) {
+    return splitsByExpense;
+  }
+
+  const rows = await all(
+    `
+      SELECT s.expenditure_id, s.user_category_id, s.amount, uc.name, uc.budget_type
+      FROM ExpenditureSplit s
+      LEFT JOIN UserCategory uc ON uc.id = s.user_category_id
+      WHERE s.expenditure_id IN (${expenseIds.map(() => '?').join(', ')})
+      ORDER BY s.id
+    `,
+    expenseIds,
+  );
+
+  rows.forEach((row) => {
+    const lines = splitsByExpense.get(row.expenditure_id) || [];
+    lines.push({
+      user_category_id: row.user_category_id,
+      amount: Number(row.amount),
+      category: row.user_category_id
+        ? { id: row.user_category_id, name: row.name, budget_type: row.budget_type }
+        : null,
+    });
+    splitsByExpense.set(row.expenditure_id, lines);
+  });
+
+  return splitsByExpense;
+}
+
+// Shared create path for expenses; see createIncome.
+async function createExpense(
+  userId,
+  {
+    amount,
+    currency: rawCurrency,
+    description,
+    date,
+    user_category_id: userCategoryId,
+    splits,
+    tag_ids: rawTagIds,
+    goal_id: rawGoalId,
+  },
+  { timeZone, checkDateWindow = true } = {},
+) {
+  const amountCents = parseAmountToCents(amount);
+  const hasCategory = userCategoryId !== undefined && userCategoryId !== null && userCategoryId !== '';
+  const splitLines = splits === undefined || splits === null
+    ? null
+    : await normalizeExpenseSplits(userId, splits, amountCents);
+
+  if (splitLines && hasCategory) {
+    throw badRequest('Use either user_category_id or splits, not both.');
+  }
+
+  const tagIds = await normalizeTagIds(userId, rawTagIds);
+
+  let categoryId = null;
+  let category = null;
+
+  if (hasCategory) {
+    const parsedId = Number.parseInt(userCategoryId, 10);
+    const existingCategory = Number.isInteger(parsedId) && parsedId > 0
+      ? await get(
+        'SELECT id, name, budget_type FROM UserCategory WHERE id = ? AND user_id = ?',
+        [parsedId, userId],
+      )
+      : null;
+
+    if (!existingCategory?.id) {
+      throw badRequest('Invalid category selection.');
+    }
+
+    categoryId = parsedId;
+    category = existingCategory;
+  }
+
+  const trimmedDescription = typeof description === 'string' ? description.trim().slice(0, 255) : '';
+  const timestamp = parseTransactionDate(date, timeZone || await getUserTimeZone(userId), {
+    checkWindow: checkDateWindow,
+  });
+  const currency = await resolveTransactionCurrency(userId, rawCurrency);
+
+  const goal = rawGoalId === undefined || rawGoalId === null || rawGoalId === ''
+    ? null
+    : await resolveGoal(userId, rawGoalId);
+  if (goal && !isSavingsExpense(category, splitLines)) {
+    throw badRequest('Only expenses in Savings categories can count toward a goal.');
+  }
+
+  const result = await withTransaction(async () => {
+    const inserted = await run(
+      `
+        INSERT INTO Expenditure (user_id, user_category_id, amount, currency, description, date, goal_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+      [userId, categoryId, amountCents, currency, trimmedDescription, timestamp, goal?.id ?? null],
+    );
+    if (splitLines) {
+      await saveExpenseSplits(inserted.lastID, splitLines);
+    }
+    if (tagIds?.length) {
+      await saveTransactionTags('Expense', inserted.lastID, tagIds);
+    }
+    return inserted;
+  });
+
+  return {
+    id: result.lastID,
+    amount: fromCents(amountCents),
+    currency,
+    description: trimmedDescription,
+    user_category_id: categoryId,
+    category,
+    splits: serializeSplitLines(splitLines),
+    tags: tagIds?.length ? await tagsForRecord('Expense', result.lastID) : [],
+    goal: goal ? { id: goal.id, name: goal.name } : null,
+    date: timestamp,
+  };
+}
+
+router.post('/api/income', authenticate, async (req, res) => {
+  try {
+    const income = await createIncome(req.userId, req.body || {});
+    res.status(201).json(income);
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to record income:', error);
+    res.status(500).json({ message: 'Failed to record income.' });
+  }
+});
+
+router.post('/api/expense', authenticate, async (req, res) => {
+  try {
+    const expense = await createExpense(req.userId, req.body || {});
+    res.status(201).json(expense);
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to record expense:', error);
+    res.status(500).json({ message: 'Failed to record expense.' });
+  }
+});
+
+function parseRecordId(rawId) {
+  const parsed = Number.parseInt(rawId, 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    return null;
+  }
+  return parsed;
+}
+
+router.patch('/api/income/:id', authenticate, async (req, res) => {
+  try {
+    const incomeId = parseRecordId(req.params.id);
+
+    if (!incomeId) {
+      res.status(400).json({ message: 'Invalid income id.' });
+      return;
+    }
+
+    const existing = await get(
+      'SELECT id, amount, currency, source, date FROM Income WHERE id = ? AND user_id = ?',
+      [incomeId, req.userId],
+    );
+
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Income not found.' });
+      return;
+    }
+
+    const {
+      amount,
+      currency: rawCurrency,
+      source,
+      date,
+      tag_ids: rawTagIds,
+    } = req.body || {};
+    let amountCents = Number(existing.amount);
+    let trimmedSource = existing.source;
+    let timestamp = existing.date;
+    const currency = rawCurrency === undefined
+      ? existing.currency
+      : await resolveTransactionCurrency(req.userId, rawCurrency);
+
+    if (amount !== undefined) {
+      amountCents = parseAmountToCents(amount);
+    }
+
+    if (source !== undefined) {
+      trimmedSource = typeof source === 'string' ? source.trim().slice(0, 255) : '';
+    }
+
+    if (date !== undefined) {
+      timestamp = parseTransactionDate(date, await getUserTimeZone(req.userId));
+    }
+
+    const tagIds = await normalizeTagIds(req.userId, rawTagIds);
+
+    await withTransaction(async () => {
+      await run(
+        'UPDATE Income SET amount = ?, currency = ?, source = ?, date = ? WHERE id = ? AND user_id = ?',
+        [amountCents, currency, trimmedSource, timestamp, incomeId, req.userId],
+      );
+      if (tagIds !== undefined) {
+        await saveTransactionTags('Income', incomeId, tagIds);
+      }
     });
 
     res.json({
-      items: result.items,
-      nextCursor: result.nextCursor,
+      id: incomeId,
+      amount: fromCents(amountCents),
+      currency,
+      source: trimmedSource,
+      tags: await tagsForRecord('Income', incomeId),
+      date: timestamp,
     });
   } catch (error) {
-    const status = error?.statusCode || 500;
-    if (status >= 500) {
-      console.error('Failed to load transactions:', error);
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
     }
-    res.status(status).json({ message: error?.message || 'Failed to load transactions.' });
+    console.error('Failed to update income:', error);
+    res.status(500).json({ message: 'Failed to update income.' });
   }
 });
 
-app.post('/api/income', authenticate, async (req, res) => {
+router.delete('/api/income/:id', authenticate, async (req, res) => {
   try {
-    const { amount, source } = req.body;
-    const numericAmount = Number(amount);
+    const incomeId = parseRecordId(req.params.id);
 
-    if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
-      res.status(400).json({ message: 'Amount must be a positive number.' });
+    if (!incomeId) {
+      res.status(400).json({ message: 'Invalid income id.' });
       return;
     }
 
-    const trimmedSource = typeof source === 'string' ? source.trim().slice(0, 255) : '';
-    const timestamp = new Date().toISOString();
-
-    const result = await run(
-      'INSERT INTO Income (user_id, amount, source, date) VALUES (?, ?, ?, ?)',
-      [req.userId, numericAmount, trimmedSource, timestamp],
+    const existing = await get(
+      'SELECT id FROM Income WHERE id = ? AND user_id = ?',
+      [incomeId, req.userId],
     );
 
-    res.status(201).json({
-      id: result.lastID,
-      amount: numericAmount,
-      source: trimmedSource,
-      date: timestamp,
-    });
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Income not found.' });
+      return;
+    }
+
+    await run('DELETE FROM Income WHERE id = ? AND user_id = ?', [incomeId, req.userId]);
+    res.status(204).send();
   } catch (error) {
-    console.error('Failed to record income:', error);
-    res.status(500).json({ message: 'Failed to record income.' });
+    console.error('Failed to delete income:', error);
+    res.status(500).json({ message: 'Failed to delete income.' });
   }
 });
 
-app.post('/api/expense', authenticate, async (req, res) => {
+router.patch('/api/expense/:id', authenticate, async (req, res) => {
   try {
-    const { amount, description, user_category_id: userCategoryId } = req.body;
-    const numericAmount = Number(amount);
+    const expenseId = parseRecordId(req.params.id);
 
-    if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
-      res.status(400).json({ message: 'Amount must be a positive number.' });
+    if (!expenseId) {
+      res.status(400).json({ message: 'Invalid expense id.' });
       return;
     }
 
-    let categoryId = null;
-    let category = null;
+    const existing = await get(
+      `
+        SELECT id, amount, currency, description, user_category_id, date, goal_id
+        FROM Expenditure
+        WHERE id = ? AND user_id = ?
+      `,
+      [expenseId, req.userId],
+    );
 
-    if (userCategoryId !== undefined && userCategoryId !== null && userCategoryId !== '') {
-      const parsedId = Number.parseInt(userCategoryId, 10);
-      if (!Number.isInteger(parsedId) || parsedId <= 0) {
-        res.status(400).json({ message: 'Invalid category selection.' });
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Expense not found.' });
+      return;
+    }
+
+    const {
+      amount,
+      currency: rawCurrency,
+      description,
+      date,
+      user_category_id: userCategoryId,
+      splits,
+      tag_ids: rawTagIds,
+      goal_id: rawGoalId,
+    } = req.body || {};
+    let amountCents = Number(existing.amount);
+    let trimmedDescription = existing.description;
+    let categoryId = existing.user_category_id;
+    let timestamp = existing.date;
+    const currency = rawCurrency === undefined
+      ? existing.currency
+      : await resolveTransactionCurrency(req.userId, rawCurrency);
+
+    if (amount !== undefined) {
+      amountCents = parseAmountToCents(amount);
+    }
+
+    if (description !== undefined) {
+      trimmedDescription = typeof description === 'string' ? description.trim().slice(0, 255) : '';
+    }
+
+    if (date !== undefined) {
+      timestamp = parseTransactionDate(date, await getUserTimeZone(req.userId));
+    }
+
+    if (userCategoryId !== undefined) {
+      if (userCategoryId === null || userCategoryId === '') {
+        categoryId = null;
+      } else {
+        const parsedId = parseRecordId(userCategoryId);
+        if (!parsedId) {
+          res.status(400).json({ message: 'Invalid category selection.' });
+          return;
+        }
+        categoryId = parsedId;
+      }
+    }
+
+    // New split lines replace the old ones; null or [] turns the split off,
+    // and so does assigning a single category.
+    const existingLines = (await loadExpenseSplits([expenseId])).get(expenseId) || null;
+    let splitLines = existingLines;
+    if (Array.isArray(splits) && splits.length) {
+      if (categoryId !== null && userCategoryId !== undefined) {
+        res.status(400).json({ message: 'Use either user_category_id or splits, not both.' });
         return;
       }
+      splitLines = await normalizeExpenseSplits(req.userId, splits, amountCents);
+      categoryId = null;
+    } else if (splits === null || Array.isArray(splits) || userCategoryId !== undefined) {
+      splitLines = null;
+    } else if (splits !== undefined) {
+      res.status(400).json({ message: 'splits must be an array.' });
+      return;
+    } else if (splitLines) {
+      if (splitLines.reduce((sum, line) => sum + line.amount, 0) !== amountCents) {
+        res.status(400).json({ message: 'Split amounts must add up to the expense amount.' });
+        return;
+      }
+    }
 
-      const existingCategory = await get(
+    let category = null;
+    if (categoryId !== null) {
+      category = await get(
         'SELECT id, name, budget_type FROM UserCategory WHERE id = ? AND user_id = ?',
-        [parsedId, req.userId],
+        [categoryId, req.userId],
       );
 
-      if (!existingCategory?.id) {
+      if (!category?.id) {
         res.status(400).json({ message: 'Invalid category selection.' });
         return;
       }
-
-      categoryId = parsedId;
-      category = existingCategory;
     }
 
-    const trimmedDescription = typeof description === 'string' ? description.trim().slice(0, 255) : '';
-    const timestamp = new Date().toISOString();
+    const tagIds = await normalizeTagIds(req.userId, rawTagIds);
 
-    const result = await run(
-      'INSERT INTO Expenditure (user_id, user_category_id, amount, description, date) VALUES (?, ?, ?, ?, ?)',
-      [req.userId, categoryId, numericAmount, trimmedDescription, timestamp],
-    );
+    // A goal link only makes sense while the expense is (partly) in a Savings
+    // category, so moving it elsewhere drops the link.
+    let goal = existing.goal_id ? await resolveGoal(req.userId, existing.goal_id) : null;
+    if (rawGoalId !== undefined) {
+      goal = rawGoalId === null || rawGoalId === '' ? null : await resolveGoal(req.userId, rawGoalId);
+    }
+    if (goal && !isSavingsExpense(category, splitLines)) {
+      if (rawGoalId !== undefined) {
+        res.status(400).json({ message: 'Only expenses in Savings categories can count toward a goal.' });
+        return;
+      }
+      goal = null;
+    }
 
-    res.status(201).json({
-      id: result.lastID,
-      amount: numericAmount,
+    await withTransaction(async () => {
+      await run(
+        `
+          UPDATE Expenditure
+          SET amount = ?, currency = ?, description = ?, user_category_id = ?, date = ?, goal_id = ?
+          WHERE id = ? AND user_id = ?
+        `,
+        [amountCents, currency, trimmedDescription, categoryId, timestamp, goal?.id ?? null, expenseId, req.userId],
+      );
+      if (splitLines !== existingLines) {
+        await saveExpenseSplits(expenseId, splitLines);
+      }
+      if (tagIds !== undefined) {
+        await saveTransactionTags('Expense', expenseId, tagIds);
+      }
+    });
+
+    res.json({
+      id: expenseId,
+      amount: fromCents(amountCents),
+      currency,
       description: trimmedDescription,
       user_category_id: categoryId,
       category,
+      splits: serializeSplitLines(splitLines),
+      tags: await tagsForRecord('Expense', expenseId),
+      goal: goal ? { id: goal.id, name: goal.name } : null,
       date: timestamp,
     });
   } catch (error) {
-    console.error('Failed to record expense:', error);
-    res.status(500).json({ message: 'Failed to record expense.' });
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to update expense:', error);
+    res.status(500).json({ message: 'Failed to update expense.' });
+  }
+});
+
+router.delete('/api/expense/:id', authenticate, async (req, res) => {
+  try {
+    const expenseId = parseRecordId(req.params.id);
+
+    if (!expenseId) {
+      res.status(400).json({ message: 'Invalid expense id.' });
+      return;
+    }
+
+    const existing = await get(
+      'SELECT id FROM Expenditure WHERE id = ? AND user_id = ?',
+      [expenseId, req.userId],
+    );
+
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Expense not found.' });
+      return;
+    }
+
+    await run('DELETE FROM Expenditure WHERE id = ? AND user_id = ?', [expenseId, req.userId]);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Failed to delete expense:', error);
+    res.status(500).json({ message: 'Failed to delete expense.' });
   }
 });
 
-app.post('/api/recurring', authenticate, async (req, res) => {
+function serializeRecurringTemplate(template) {
+  return {
+    ...template,
+    default_amount: fromCents(template.default_amount),
+    next_occurrence: getNextOccurrence(template),
+  };
+}
+
+router.post('/api/recurring', authenticate, async (req, res) => {
   try {
     const { description, default_amount: defaultAmount, user_category_id: userCategoryId } = req.body;
     const trimmedDescription = typeof description === 'string' ? description.trim() : '';
-    const numericAmount = Number(defaultAmount);
     const categoryId = Number.parseInt(userCategoryId, 10);
 
     if (!trimmedDescription) {
@@ -684,16 +3408,7 @@ app.post('/api/recurring', authenticate, async (req, res) => {
       return;
     }
 
-    if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
-      res.status(400).json({ message: 'Amount must be a positive number.' });
-      return;
-    }
-
-    const normalizedAmount = Math.round(numericAmount * 100) / 100;
-    if (Math.abs(normalizedAmount - numericAmount) > 1e-8) {
-      res.status(400).json({ message: 'Amount must have at most two decimal places.' });
-      return;
-    }
+    const amountCents = parseAmountToCents(defaultAmount);
 
     if (!Number.isInteger(categoryId) || categoryId <= 0) {
       res.status(400).json({ message: 'A valid category is required.' });
@@ -710,6 +3425,10 @@ app.post('/api/recurring', authenticate, async (req, res) => {
       return;
     }
 
+    const timeZone = await getUserTimeZone(req.userId);
+    const rule = normalizeRecurrenceRule(req.body, { today: getLocalDateKey(Date.now(), timeZone) });
+    const currency = await resolveTransactionCurrency(req.userId, req.body.currency);
+
     const recurringCountRow = await get(
       'SELECT COUNT(*) AS count FROM RecurringExpenditure WHERE user_id = ?',
       [req.userId],
@@ -721,33 +3440,70 @@ app.post('/api/recurring', authenticate, async (req, res) => {
     }
 
     const result = await run(
-      'INSERT INTO RecurringExpenditure (user_id, user_category_id, description, default_amount) VALUES (?, ?, ?, ?)',
-      [req.userId, categoryId, trimmedDescription, normalizedAmount],
+      `
+        INSERT INTO RecurringExpenditure (
+          user_id, user_category_id, description, default_amount, currency,
+          frequency, day_of_month, day_of_week, month_of_year, start_date
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        req.userId,
+        categoryId,
+        trimmedDescription,
+        amountCents,
+        currency,
+        rule?.frequency ?? null,
+        rule?.day_of_month ?? null,
+        rule?.day_of_week ?? null,
+        rule?.month_of_year ?? null,
+        rule?.start_date ?? null,
+      ],
     );
 
     res.status(201).json({
-      id: result.lastID,
-      description: trimmedDescription,
-      default_amount: normalizedAmount,
-      user_category_id: categoryId,
+      ...serializeRecurringTemplate({
+        id: result.lastID,
+        description: trimmedDescription,
+        default_amount: amountCents,
+        currency,
+        user_category_id: categoryId,
+        frequency: rule?.frequency ?? null,
+        day_of_month: rule?.day_of_month ?? null,
+        day_of_week: rule?.day_of_week ?? null,
+        month_of_year: rule?.month_of_year ?? null,
+        start_date: rule?.start_date ?? null,
+        last_occurrence: null,
+      }),
       category,
     });
   } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
     console.error('Failed to create recurring template:', error);
     res.status(500).json({ message: 'Failed to create recurring template.' });
   }
 });
 
-app.get('/api/recurring', authenticate, async (req, res) => {
+router.get('/api/recurring', authenticate, async (req, res) => {
   try {
     const templates = await all(
       `
         SELECT r.id,
                r.description,
                r.default_amount,
+               r.currency,
                r.user_category_id,
                uc.name AS category_name,
-               uc.budget_type AS category_budget_type
+               uc.budget_type AS category_budget_type,
+               r.frequency,
+               r.day_of_month,
+               r.day_of_week,
+               r.month_of_year,
+               r.start_date,
+               (SELECT MAX(p.occurrence_date) FROM RecurringPosting p WHERE p.recurring_id = r.id) AS last_occurrence
         FROM RecurringExpenditure r
         INNER JOIN UserCategory uc ON uc.id = r.user_category_id
         WHERE r.user_id = ?
@@ -756,58 +3512,400 @@ app.get('/api/recurring', authenticate, async (req, res) => {
       [req.userId],
     );
 
-    res.json(templates);
+    res.json(templates.map(serializeRecurringTemplate));
   } catch (error) {
     console.error('Failed to load recurring templates:', error);
     res.status(500).json({ message: 'Failed to load recurring templates.' });
   }
 });
 
-app.get('/api/reports/spending-by-category', authenticate, async (req, res) => {
+const SPENDING_REPORT_VIEWS = new Set(['detailed', 'rollup']);
+
+// Compares spending with a category's monthly limit, both in cents. Limits are
+// only checked for calendar-month periods; custom ranges report the limit alone.
+function describeCategoryLimit(spent, limit, isMonthPeriod) {
+  if (!limit || !isMonthPeriod) {
+    return {
+      remaining: null,
+      percent_used: null,
+      status: null,
+    };
+  }
+
+  const ratio = spent / limit;
+  let status = 'ok';
+  if (ratio >= 1) {
+    status = 'over';
+  } else if (ratio >= CATEGORY_LIMIT_WARNING_RATIO) {
+    status = 'warning';
+  }
+
+  return {
+    remaining: fromCents(limit - spent),
+    percent_used: Math.round(ratio * 1000) / 10,
+    status,
+  };
+}
+
+// The detailed view lists every category on its own; the rollup view folds
+// sub-category spending into the parent. A parent's limit always covers the
+// spending of its whole group, so it is checked against the rolled-up total,
+// which parent rows report as `group_spent` in both views.
+router.get('/api/reports/spending-by-category', authenticate, async (req, res) => {
   try {
-    const { startIso, endIso } = getCurrentMonthRange();
+    const view = typeof req.query.view === 'string' && req.query.view ? req.query.view : 'detailed';
+    if (!SPENDING_REPORT_VIEWS.has(view)) {
+      res.status(400).json({ message: 'view must be detailed or rollup.' });
+      return;
+    }
 
-    const rows = await all(
-      `
-        SELECT
-          COALESCE(uc.name, 'Uncategorized') AS name,
-          COALESCE(SUM(e.amount), 0) AS total
-        FROM Expenditure e
-        LEFT JOIN UserCategory uc ON uc.id = e.user_category_id
-        WHERE e.user_id = ? AND e.date >= ? AND e.date < ?
-        GROUP BY uc.name
-        ORDER BY total DESC
-      `,
-      [req.userId, startIso, endIso],
-    );
+    const timeZone = await getUserTimeZone(req.userId);
+    const { startIso, endIso, month } = resolveReportPeriod(req.query, timeZone);
+
+    const [categories, spendingRows] = await Promise.all([
+      all(
+        'SELECT id, name, monthly_limit, parent_id FROM UserCategory WHERE user_id = ?',
+        [req.userId],
+      ),
+      all(
+        `
+          SELECT user_category_id, COALESCE(SUM(amount), 0) AS total
+          FROM (${EXPENSE_PARTS_SQL}) p
+          WHERE user_id = ? AND date >= ? AND date < ?
+          GROUP BY user_category_id
+        `,
+        [req.userId, startIso, endIso],
+      ),
+    ]);
+
+    const categoryById = new Map(categories.map((category) => [category.id, category]));
+    const directSpent = new Map(spendingRows.map((row) => [row.user_category_id, Number(row.total || 0)]));
+    const groupSpent = new Map();
+    categories.forEach((category) => {
+      const groupId = category.parent_id ?? category.id;
+      const spent = directSpent.get(category.id) || 0;
+      groupSpent.set(groupId, (groupSpent.get(groupId) || 0) + spent);
+    });
 
-    res.json(
-      rows.map((row) => ({
-        name: row.name,
-        total: Number(row.total || 0),
-      })),
-    );
+    const rows = [];
+    categories.forEach((category) => {
+      const isSubCategory = Boolean(category.parent_id);
+      if (view === 'rollup' && isSubCategory) {
+        return;
+      }
+
+      const groupTotal = isSubCategory ? null : groupSpent.get(category.id) || 0;
+      const spent = view === 'rollup' ? groupTotal : directSpent.get(category.id) || 0;
+      const limit = category.monthly_limit === null ? null : Number(category.monthly_limit);
+
+      if (spent === 0 && !limit) {
+        return;
+      }
+
+      const parent = isSubCategory ? categoryById.get(category.parent_id) : null;
+      rows.push({
+        id: category.id,
+        name: category.name,
+        parent_id: category.parent_id ?? null,
+        parent_name: parent?.name ?? null,
+        total: fromCents(spent),
+        spent: fromCents(spent),
+        group_spent: fromCents(groupTotal),
+        limit: fromCents(limit),
+        ...describeCategoryLimit(groupTotal ?? spent, limit, Boolean(month)),
+      });
+    });
+
+    const uncategorized = directSpent.get(null) || 0;
+    if (uncategorized > 0) {
+      rows.push({
+        id: null,
+        name: 'Uncategorized',
+        parent_id: null,
+        parent_name: null,
+        total: fromCents(uncategorized),
+        spent: fromCents(uncategorized),
+        group_spent: null,
+        limit: null,
+        ...describeCategoryLimit(uncategorized, null, Boolean(month)),
+      });
+    }
+
+    rows.sort((a, b) => b.total - a.total);
+    res.json(rows);
   } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
     console.error('Failed to load spending by category:', error);
     res.status(500).json({ message: 'Failed to load spending by category.' });
   }
 });
 
-app.get('/api/templates/export', authenticate, async (req, res) => {
+// Totals the expenses carrying each tag, with a per-category breakdown, so a
+// trip or project can be followed across categories. An expense with several
+// tags counts toward each of them.
+router.get('/api/reports/spending-by-tag', authenticate, async (req, res) => {
+  try {
+    const timeZone = await getUserTimeZone(req.userId);
+    const { startIso, endIso } = resolveReportPeriod(req.query, timeZone);
+
+    const [tagRows, categoryRows] = await Promise.all([
+      all(
+        `
+          SELECT t.id, t.name, COUNT(*) AS count, COALESCE(SUM(${toBaseAmountSql('e')}), 0) AS total
+          FROM Tag t
+          JOIN ExpenditureTag et ON et.tag_id = t.id
+          JOIN Expenditure e ON e.id = et.expenditure_id
+          WHERE t.user_id = ? AND e.date >= ? AND e.date < ?
+          GROUP BY t.id
+        `,
+        [req.userId, startIso, endIso],
+      ),
+      all(
+        `
+          SELECT et.tag_id, p.user_category_id, uc.name, COALESCE(SUM(p.amount), 0) AS total
+          FROM ExpenditureTag et
+          JOIN (${EXPENSE_PARTS_SQL}) p ON p.expenditure_id = et.expenditure_id
+          LEFT JOIN UserCategory uc ON uc.id = p.user_category_id
+          WHERE p.user_id = ? AND p.date >= ? AND p.date < ?
+          GROUP BY et.tag_id, p.user_category_id
+        `,
+        [req.userId, startIso, endIso],
+      ),
+    ]);
+
+    const categoriesByTag = new Map();
+    categoryRows.forEach((row) => {
+      const categories = categoriesByTag.get(row.tag_id) || [];
+      categories.push({
+        id: row.user_category_id,
+        name: row.user_category_id ? row.name : 'Uncategorized',
+        total: fromCents(Number(row.total || 0)),
+      });
+      categoriesByTag.set(row.tag_id, categories);
+    });
+
+    const rows = tagRows.map((row) => ({
+      id: row.id,
+      name: row.name,
+      count: Number(row.count || 0),
+      total: fromCents(Number(row.total || 0)),
+      categories: (categoriesByTag.get(row.id) || []).sort((a, b) => b.total - a.total),
+    }));
+
+    rows.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+    res.json(rows);
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to load spending by tag:', error);
+    res.status(500).json({ message: 'Failed to load spending by tag.' });
+  }
+});
+
+function parseTrendMonths(rawMonths) {
+  if (rawMonths === undefined || rawMonths === '') {
+    return DEFAULT_TREND_MONTHS;
+  }
+
+  const months = Number(rawMonths);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_TREND_MONTHS) {
+    throw badRequest(`months must be a whole number between 1 and ${MAX_TREND_MONTHS}.`);
+  }
+  return months;
+}
+
+// Per-month totals for income, each budget type and each category over the
+// `months` calendar months ending with `month` (default: the current one).
+// Every series has one value per entry of `months`, oldest first.
+router.get('/api/reports/trends', authenticate, async (req, res) => {
+  try {
+    const monthCount = parseTrendMonths(req.query.months);
+    const timeZone = await getUserTimeZone(req.userId);
+    const { month: lastMonth } = resolveReportPeriod({ month: req.query.month }, timeZone);
+
+    const [lastYear, lastMonthNumber] = lastMonth.split('-').map(Number);
+    const periods = [];
+    for (let offset = monthCount - 1; offset >= 0; offset -= 1) {
+      const monthIndex = lastMonthNumber - 1 - offset;
+      periods.push({
+        month: formatMonthKey(lastYear, monthIndex),
+        ...getMonthRange(lastYear, monthIndex, timeZone),
+      });
+    }
+
+    // Month boundaries depend on the user's time zone, so they are passed in
+    // as a table rather than derived from the stored UTC timestamps.
+    const monthsSql = `
+      WITH months(month, start_iso, end_iso) AS (
+        VALUES ${periods.map(() => '(?, ?, ?)').join(', ')}
+      )
+    `;
+    const monthParams = periods.flatMap((period) => [period.month, period.startIso, period.endIso]);
+
+    const [incomeRows, spendingRows, categories] = await Promise.all([
+      all(
+        `
+          ${monthsSql}
+          SELECT m.month, COALESCE(SUM(${toBaseAmountSql('i')}), 0) AS total
+          FROM months m
+          JOIN Income i ON i.date >= m.start_iso AND i.date < m.end_iso
+          WHERE i.user_id = ?
+          GROUP BY m.month
+        `,
+        [...monthParams, req.userId],
+      ),
+      all(
+        `
+          ${monthsSql}
+          SELECT m.month, p.user_category_id, COALESCE(SUM(p.amount), 0) AS total
+          FROM months m
+          JOIN (${EXPENSE_PARTS_SQL}) p ON p.date >= m.start_iso AND p.date < m.end_iso
+          WHERE p.user_id = ?
+          GROUP BY m.month, p.user_category_id
+        `,
+        [...monthParams, req.userId],
+      ),
+      all(
+        'SELECT id, name, budget_type, parent_id FROM UserCategory WHERE user_id = ?',
+        [req.userId],
+      ),
+    ]);
+
+    // Series are summed in cents and only turned into decimals for the response.
+    const monthPosition = new Map(periods.map((period, position) => [period.month, position]));
+    const emptySeries = () => periods.map(() => 0);
+    const addTo = (series, month, amount) => {
+      series[monthPosition.get(month)] += amount;
+    };
+    const toDecimals = (series) => series.map(fromCents);
+
+    const income = emptySeries();
+    incomeRows.forEach((row) => addTo(income, row.month, Number(row.total || 0)));
+
+    const categoryById = new Map(categories.map((category) => [category.id, category]));
+    const budgetTypes = { Necessities: emptySeries(), Leisure: emptySeries(), Savings: emptySeries() };
+    const expenses = emptySeries();
+    const categorySeries = new Map();
+
+    spendingRows.forEach((row) => {
+      const amount = Number(row.total || 0);
+      const category = categoryById.get(row.user_category_id) || null;
+      addTo(expenses, row.month, amount);
+      if (category && budgetTypes[category.budget_type]) {
+        addTo(budgetTypes[category.budget_type], row.month, amount);
+      }
+
+      const key = category ? category.id : null;
+      if (!categorySeries.has(key)) {
+        categorySeries.set(key, {
+          id: key,
+          name: category ? category.name : 'Uncategorized',
+          budget_type: category ? category.budget_type : null,
+          parent_id: category?.parent_id ?? null,
+          totals: emptySeries(),
+        });
+      }
+      addTo(categorySeries.get(key).totals, row.month, amount);
+    });
+
+    const sum = (series) => series.reduce((total, value) => total + value, 0);
+    const categoryRows = Array.from(categorySeries.values())
+      .sort((a, b) => sum(b.totals) - sum(a.totals) || a.name.localeCompare(b.name));
+
+    res.json({
+      months: periods.map((period) => period.month),
+      income: toDecimals(income),
+      expenses: toDecimals(expenses),
+      budget_types: Object.fromEntries(
+        Object.entries(budgetTypes).map(([budgetType, series]) => [budgetType, toDecimals(series)]),
+      ),
+      categories: categoryRows.map((row) => ({ ...row, totals: toDecimals(row.totals) })),
+    });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to load trends:', error);
+    res.status(500).json({ message: 'Failed to load trends.' });
+  }
+});
+
+function serializeTemplateSchedule(item) {
+  if (!item.frequency) {
+    return {};
+  }
+
+  return {
+    schedule: {
+      frequency: item.frequency,
+      day_of_month: item.day_of_month,
+      day_of_week: item.day_of_week,
+      month_of_year: item.month_of_year,
+    },
+  };
+}
+
+// Validates the optional `schedule` of an imported template entry. Imported
+// schedules start on the day of the import. `prefix` names the entry in errors.
+function normalizeImportedSchedule(schedule, prefix, today) {
+  if (schedule === undefined || schedule === null) {
+    return null;
+  }
+
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw badRequest(`${prefix} is invalid.`);
+  }
+
+  try {
+    return normalizeRecurrenceRule({ ...schedule, start_date: undefined }, { today });
+  } catch (scheduleError) {
+    throw badRequest(`${prefix}: ${scheduleError.message}`);
+  }
+}
+
+// Validates the optional `currency` of an imported template entry. Returns
+// null when it is missing so the base currency applies.
+function normalizeImportedCurrency(currency, prefix) {
+  if (currency === undefined || currency === null || currency === '') {
+    return null;
+  }
+
+  const code = normalizeCurrencyCode(currency);
+  if (!code) {
+    throw badRequest(`${prefix} is not a valid currency code.`);
+  }
+  return code;
+}
+
+router.get('/api/templates/export', authenticate, async (req, res) => {
   try {
     const categories = await all(
       `
-        SELECT name, budget_type
-        FROM UserCategory
-        WHERE user_id = ?
-        ORDER BY name COLLATE NOCASE
+        SELECT uc.name, uc.budget_type, uc.monthly_limit, parent.name AS parent_name
+        FROM UserCategory uc
+        LEFT JOIN UserCategory parent ON parent.id = uc.parent_id
+        WHERE uc.user_id = ?
+        ORDER BY uc.name COLLATE NOCASE
       `,
       [req.userId],
     );
 
     const recurring = await all(
       `
-        SELECT r.description, r.default_amount, uc.name AS category_name
+        SELECT r.description,
+               r.default_amount,
+               r.currency,
+               uc.name AS category_name,
+               r.frequency,
+               r.day_of_month,
+               r.day_of_week,
+               r.month_of_year
         FROM RecurringExpenditure r
         LEFT JOIN UserCategory uc ON uc.id = r.user_category_id
         WHERE r.user_id = ?
@@ -816,20 +3914,43 @@ app.get('/api/templates/export', authenticate, async (req, res) => {
       [req.userId],
     );
 
+    const recurringIncome = await all(
+      `
+        SELECT source, default_amount, currency, frequency, day_of_month, day_of_week, month_of_year
+        FROM RecurringIncome
+        WHERE user_id = ?
+        ORDER BY source COLLATE NOCASE
+      `,
+      [req.userId],
+    );
+
+    const split = await getBudgetSplit(req.userId);
+
     const payload = {
-      version: '1.0',
+      version: TEMPLATE_SCHEMA_VERSION,
       generatedAt: new Date().toISOString(),
+      budget_split: split,
       categories: categories.map((category) => ({
         name: category.name,
         budget_type: category.budget_type,
+        ...(category.monthly_limit === null ? {} : { monthly_limit: fromCents(category.monthly_limit) }),
+        ...(category.parent_name ? { parent_name: category.parent_name } : {}),
       })),
       recurring: recurring
         .filter((item) => item.category_name)
         .map((item) => ({
           description: item.description,
-          default_amount: Number(item.default_amount),
+          default_amount: fromCents(item.default_amount),
+          currency: item.currency,
           category_name: item.category_name,
+          ...serializeTemplateSchedule(item),
         })),
+      recurring_income: recurringIncome.map((item) => ({
+        source: item.source,
+        default_amount: fromCents(item.default_amount),
+        currency: item.currency,
+        ...serializeTemplateSchedule(item),
+      })),
     };
 
     const fileName = `budgetwise-template-${new Date().toISOString().slice(0, 10)}.json`;
@@ -844,7 +3965,7 @@ app.get('/api/templates/export', authenticate, async (req, res) => {
   }
 });
 
-app.post('/api/templates/import', authenticate, async (req, res) => {
+router.post('/api/templates/import', authenticate, async (req, res) => {
   try {
     const payload = req.body;
 
@@ -853,9 +3974,15 @@ app.post('/api/templates/import', authenticate, async (req, res) => {
       return;
     }
 
-    const { version, categories = [], recurring = [] } = payload;
+    const {
+      version,
+      categories = [],
+      recurring = [],
+      recurring_income: recurringIncome = [],
+      budget_split: budgetSplitPayload,
+    } = payload;
 
-    if (version !== '1.0') {
+    if (!SUPPORTED_TEMPLATE_VERSIONS.has(version)) {
       res.status(400).json({ message: 'Unsupported template version.' });
       return;
     }
@@ -870,83 +3997,99 @@ app.post('/api/templates/import', authenticate, async (req, res) => {
       return;
     }
 
+    if (!Array.isArray(recurringIncome) || recurringIncome.length > 200) {
+      res.status(400).json({ message: 'Invalid recurring income list (max 200).' });
+      return;
+    }
+
+    const importedSplit = budgetSplitPayload === undefined ? null : normalizeBudgetSplit(budgetSplitPayload);
+
     const payloadCategoryMap = new Map();
     let skippedCategoryDuplicates = 0;
     categories.forEach((item, index) => {
       if (!item || typeof item !== 'object') {
-        throw Object.assign(new Error('Invalid category entry.'), { statusCode: 400 });
+        throw badRequest('Invalid category entry.');
       }
       const name = typeof item.name === 'string' ? item.name.trim() : '';
       const budgetType = item.budget_type;
 
       if (!name || name.length > 40) {
-        throw Object.assign(new Error(`Category name at index ${index} must be 1-40 characters.`), { statusCode: 400 });
+        throw badRequest(`Category name at index ${index} must be 1-40 characters.`);
       }
 
       if (!BUDGET_TYPES.has(budgetType)) {
-        throw Object.assign(new Error(`Invalid budget type for category "${name}".`), { statusCode: 400 });
+        throw badRequest(`Invalid budget type for category "${name}".`);
+      }
+
+      let monthlyLimit;
+      try {
+        monthlyLimit = normalizeMonthlyLimit(item.monthly_limit);
+      } catch (error) {
+        throw badRequest(`Invalid monthly limit for category "${name}".`);
+      }
+
+      const parentName = typeof item.parent_name === 'string' ? item.parent_name.trim() : '';
+      if (item.parent_name !== undefined && item.parent_name !== null && (!parentName || parentName.length > 40)) {
+        throw badRequest(`Parent name for category "${name}" must be 1-40 characters.`);
       }
 
       const key = name.toLowerCase();
+      if (parentName.toLowerCase() === key) {
+        throw badRequest(`Category "${name}" cannot be its own parent.`);
+      }
+
       if (payloadCategoryMap.has(key)) {
         skippedCategoryDuplicates += 1;
         return;
       }
 
-      payloadCategoryMap.set(key, { name, budget_type: budgetType });
+      payloadCategoryMap.set(key, {
+        name,
+        budget_type: budgetType,
+        monthly_limit: monthlyLimit,
+        parentKey: parentName ? parentName.toLowerCase() : null,
+      });
     });
 
+    const timeZone = await getUserTimeZone(req.userId);
+    const today = getLocalDateKey(Date.now(), timeZone);
     const normalizedRecurring = [];
     const recurringPayloadKeys = new Set();
     let recurringDuplicateCount = 0;
 
     recurring.forEach((item, index) => {
       if (!item || typeof item !== 'object') {
-        throw Object.assign(new Error('Invalid recurring entry.'), { statusCode: 400 });
+        throw badRequest('Invalid recurring entry.');
       }
 
       const description =
         typeof item.description === 'string' ? item.description.trim() : '';
-      const amountValue = Number(item.default_amount);
       const categoryName =
         typeof item.category_name === 'string' ? item.category_name.trim() : '';
 
       if (!description) {
-        throw Object.assign(new Error(`Recurring description at index ${index} is required.`), { statusCode: 400 });
+        throw badRequest(`Recurring description at index ${index} is required.`);
       }
 
       if (description.length > 255) {
-        throw Object.assign(new Error(`Recurring description "${description}" is too long (max 255).`), {
-          statusCode: 400,
-        });
-      }
-
-      if (!Number.isFinite(amountValue) || amountValue <= 0) {
-        throw Object.assign(new Error(`Recurring amount for "${description}" must be positive.`), { statusCode: 400 });
+        throw badRequest(`Recurring description "${description}" is too long (max 255).`);
       }
 
-      const normalizedAmount = Math.round(amountValue * 100) / 100;
-      if (Math.abs(normalizedAmount - amountValue) > 1e-8) {
-        throw Object.assign(new Error(`Recurring amount for "${description}" must have at most two decimals.`), {
-          statusCode: 400,
-        });
-      }
+      const amountCents = parseAmountToCents(item.default_amount, `Recurring amount for "${description}"`);
 
       if (!categoryName) {
-        throw Object.assign(new Error(`Recurring entry "${description}" must reference a category name.`), {
-          statusCode: 400,
-        });
+        throw badRequest(`Recurring entry "${description}" must reference a category name.`);
       }
 
       const categoryKey = categoryName.toLowerCase();
       if (!payloadCategoryMap.has(categoryKey)) {
-        throw Object.assign(
-          new Error(`Recurring entry "${description}" references unknown category "${categoryName}".`),
-          { statusCode: 400 },
-        );
+        throw badRequest(`Recurring entry "${description}" references unknown category "${categoryName}".`);
       }
 
-      const dedupeKey = `${description.toLowerCase()}|${normalizedAmount.toFixed(2)}|${categoryKey}`;
+      const currency = normalizeImportedCurrency(item.currency, `Recurring currency for "${description}"`);
+      const schedule = normalizeImportedSchedule(item.schedule, `Recurring schedule for "${description}"`, today);
+
+      const dedupeKey = `${description.toLowerCase()}|${amountCents}|${categoryKey}`;
       if (recurringPayloadKeys.has(dedupeKey)) {
         recurringDuplicateCount += 1;
         return;
@@ -954,54 +4097,147 @@ app.post('/api/templates/import', authenticate, async (req, res) => {
       recurringPayloadKeys.add(dedupeKey);
       normalizedRecurring.push({
         description,
-        amount: normalizedAmount,
+        amount: amountCents,
+        currency,
         categoryKey,
+        schedule,
       });
     });
 
-    const existingCategories = await all(
-      'SELECT id, name FROM UserCategory WHERE user_id = ?',
-      [req.userId],
-    );
+    const normalizedRecurringIncome = [];
+    const recurringIncomePayloadKeys = new Set();
+    let skippedRecurringIncome = 0;
 
-    const categoryMap = new Map();
-    existingCategories.forEach((category) => {
-      categoryMap.set(category.name.toLowerCase(), { id: category.id, name: category.name });
-    });
+    recurringIncome.forEach((item, index) => {
+      if (!item || typeof item !== 'object') {
+        throw badRequest('Invalid recurring income entry.');
+      }
 
-    const existingCategoryCount = existingCategories.length;
-    const potentialNewCategories = Array.from(payloadCategoryMap.entries()).filter(
-      ([key]) => !categoryMap.has(key),
-    );
+      let fields;
+      try {
+        fields = normalizeRecurringIncomeFields(item);
+      } catch (fieldError) {
+        throw badRequest(`Recurring income at index ${index}: ${fieldError.message}`);
+      }
 
-    if (existingCategoryCount + potentialNewCategories.length > 50) {
-      res.status(400).json({ message: 'Import would exceed the category limit (50).' });
-      return;
+      const currency = normalizeImportedCurrency(item.currency, `Recurring income currency for "${fields.source}"`);
+      const schedule = normalizeImportedSchedule(
+        item.schedule,
+        `Recurring income schedule for "${fields.source}"`,
+        today,
+      );
+
+      const dedupeKey = `${fields.source.toLowerCase()}|${fields.default_amount}`;
+      if (recurringIncomePayloadKeys.has(dedupeKey)) {
+        skippedRecurringIncome += 1;
+        return;
+      }
+      recurringIncomePayloadKeys.add(dedupeKey);
+      normalizedRecurringIncome.push({ ...fields, currency, dedupeKey, schedule });
+    });
+
+    // Templates without a currency use the base currency; any other needs an
+    // exchange rate into it, as when creating a template directly.
+    for (const item of [...normalizedRecurring, ...normalizedRecurringIncome]) {
+      item.currency = await resolveTransactionCurrency(req.userId, item.currency);
     }
 
-    const existingRecurringRows = await all(
-      'SELECT description, default_amount, user_category_id FROM RecurringExpenditure WHERE user_id = ?',
-      [req.userId],
-    );
+    // The existing records are read inside the transaction too, so concurrent
+    // imports cannot both pass the limit and duplicate checks.
+    const imported = await withTransaction(async () => {
+      const existingCategories = await all(
+        'SELECT id, name, budget_type, parent_id FROM UserCategory WHERE user_id = ?',
+        [req.userId],
+      );
 
-    const existingRecurringSet = new Set(
-      existingRecurringRows.map((row) => `${row.description.toLowerCase()}|${Number(row.default_amount).toFixed(2)}|${row.user_category_id}`),
-    );
+      const categoryMap = new Map();
+      existingCategories.forEach((category) => {
+        categoryMap.set(category.name.toLowerCase(), {
+          id: category.id,
+          name: category.name,
+          budget_type: category.budget_type,
+          isSubCategory: Boolean(category.parent_id),
+        });
+      });
+
+      const existingCategoryCount = existingCategories.length;
+      // Parents are created before their sub-categories.
+      const potentialNewCategories = Array.from(payloadCategoryMap.entries())
+        .filter(([key]) => !categoryMap.has(key))
+        .sort(([, a], [, b]) => Number(Boolean(a.parentKey)) - Number(Boolean(b.parentKey)));
+
+      // Existing categories keep their place in the hierarchy, so a parent is
+      // looked up in the database first and in the file second.
+      potentialNewCategories.forEach(([, cat]) => {
+        if (!cat.parentKey) {
+          return;
+        }
+
+        const existingParent = categoryMap.get(cat.parentKey);
+        const payloadParent = payloadCategoryMap.get(cat.parentKey);
+        if (!existingParent && !payloadParent) {
+          throw badRequest(`Category "${cat.name}" references unknown parent category.`);
+        }
+
+        if (existingParent ? existingParent.isSubCategory : Boolean(payloadParent.parentKey)) {
+          throw badRequest(`Category "${cat.name}" is nested too deeply; sub-categories cannot have sub-categories.`);
+        }
+      });
+
+      if (existingCategoryCount + potentialNewCategories.length > 50) {
+        throw badRequest('Import would exceed the category limit (50).');
+      }
+
+      const existingRecurringRows = await all(
+        'SELECT description, default_amount, user_category_id FROM RecurringExpenditure WHERE user_id = ?',
+        [req.userId],
+      );
+
+      const existingRecurringSet = new Set(
+        existingRecurringRows.map((row) => `${row.description.toLowerCase()}|${Number(row.default_amount)}|${row.user_category_id}`),
+      );
+
+      const existingRecurringIncomeRows = await all(
+        'SELECT source, default_amount FROM RecurringIncome WHERE user_id = ?',
+        [req.userId],
+      );
+
+      const existingRecurringIncomeSet = new Set(
+        existingRecurringIncomeRows.map((row) => `${row.source.toLowerCase()}|${Number(row.default_amount)}`),
+      );
 
-    let insertedCategories = 0;
-    let skippedCategories = skippedCategoryDuplicates;
-    let insertedRecurring = 0;
-    let skippedRecurring = recurringDuplicateCount;
+      const currentSplit = await getBudgetSplit(req.userId);
+      const splitChanged = Boolean(importedSplit)
+        && Object.keys(importedSplit).some((key) => importedSplit[key] !== currentSplit[key]);
 
-    try {
-      await run('BEGIN TRANSACTION');
+      let insertedCategories = 0;
+      let skippedCategories = skippedCategoryDuplicates;
+      let insertedRecurring = 0;
+      let skippedRecurring = recurringDuplicateCount;
+      let insertedRecurringIncome = 0;
 
       for (const [key, cat] of potentialNewCategories) {
+        const parentRecord = cat.parentKey ? categoryMap.get(cat.parentKey) : null;
         const result = await run(
-          'INSERT INTO UserCategory (user_id, name, budget_type) VALUES (?, ?, ?)',
-          [req.userId, cat.name, cat.budget_type],
+          `
+            INSERT INTO UserCategory (user_id, name, budget_type, monthly_limit, parent_id, budget_type_override)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `,
+          [
+            req.userId,
+            cat.name,
+            cat.budget_type,
+            cat.monthly_limit,
+            parentRecord?.id ?? null,
+            parentRecord && parentRecord.budget_type !== cat.budget_type ? 1 : 0,
+          ],
         );
-        categoryMap.set(key, { id: result.lastID, name: cat.name });
+        categoryMap.set(key, {
+          id: result.lastID,
+          name: cat.name,
+          budget_type: cat.budget_type,
+          isSubCategory: Boolean(parentRecord),
+        });
         insertedCategories += 1;
       }
 
@@ -1019,46 +4255,102 @@ app.post('/api/templates/import', authenticate, async (req, res) => {
           );
         }
 
-        const key = `${recurringItem.description.toLowerCase()}|${recurringItem.amount.toFixed(2)}|${categoryRecord.id}`;
+        const key = `${recurringItem.description.toLowerCase()}|${recurringItem.amount}|${categoryRecord.id}`;
         if (existingRecurringSet.has(key)) {
           skippedRecurring += 1;
           continue;
         }
 
         if (currentRecurringCount >= 50) {
-          throw Object.assign(new Error('Import would exceed the recurring template limit (50).'), {
-            statusCode: 400,
-          });
+          throw badRequest('Import would exceed the recurring template limit (50).');
         }
 
+        const { schedule } = recurringItem;
         await run(
-          'INSERT INTO RecurringExpenditure (user_id, user_category_id, description, default_amount) VALUES (?, ?, ?, ?)',
-          [req.userId, categoryRecord.id, recurringItem.description, recurringItem.amount],
+          `
+            INSERT INTO RecurringExpenditure (
+              user_id, user_category_id, description, default_amount, currency,
+              frequency, day_of_month, day_of_week, month_of_year, start_date
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `,
+          [
+            req.userId,
+            categoryRecord.id,
+            recurringItem.description,
+            recurringItem.amount,
+            recurringItem.currency,
+            schedule?.frequency ?? null,
+            schedule?.day_of_month ?? null,
+            schedule?.day_of_week ?? null,
+            schedule?.month_of_year ?? null,
+            schedule?.start_date ?? null,
+          ],
         );
         existingRecurringSet.add(key);
         insertedRecurring += 1;
         currentRecurringCount += 1;
       }
 
-      await run('COMMIT');
-    } catch (transactionError) {
-      await run('ROLLBACK');
-      if (transactionError?.statusCode === 500) {
-        throw transactionError;
+      let currentRecurringIncomeCount = existingRecurringIncomeRows.length;
+
+      for (const incomeItem of normalizedRecurringIncome) {
+        if (existingRecurringIncomeSet.has(incomeItem.dedupeKey)) {
+          skippedRecurringIncome += 1;
+          continue;
+        }
+
+        if (currentRecurringIncomeCount >= 50) {
+          throw badRequest('Import would exceed the recurring income template limit (50).');
+        }
+
+        const { schedule } = incomeItem;
+        await run(
+          `
+            INSERT INTO RecurringIncome (
+              user_id, source, default_amount, currency,
+              frequency, day_of_month, day_of_week, month_of_year, start_date
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `,
+          [
+            req.userId,
+            incomeItem.source,
+            incomeItem.default_amount,
+            incomeItem.currency,
+            schedule?.frequency ?? null,
+            schedule?.day_of_month ?? null,
+            schedule?.day_of_week ?? null,
+            schedule?.month_of_year ?? null,
+            schedule?.start_date ?? null,
+          ],
+        );
+        existingRecurringIncomeSet.add(incomeItem.dedupeKey);
+        insertedRecurringIncome += 1;
+        currentRecurringIncomeCount += 1;
+      }
+
+      if (splitChanged) {
+        await saveBudgetSplit(req.userId, importedSplit);
       }
-      throw transactionError;
-    }
 
-    res.json({
-      inserted: {
-        categories: insertedCategories,
-        recurring: insertedRecurring,
-      },
-      skipped: {
-        categories: skippedCategories,
-        recurring: skippedRecurring,
-      },
+      return {
+        inserted: {
+          categories: insertedCategories,
+          recurring: insertedRecurring,
+          recurring_income: insertedRecurringIncome,
+          budget_split: splitChanged ? 1 : 0,
+        },
+        skipped: {
+          categories: skippedCategories,
+          recurring: skippedRecurring,
+          recurring_income: skippedRecurringIncome,
+          budget_split: importedSplit && !splitChanged ? 1 : 0,
+        },
+      };
     });
+
+    res.json(imported);
   } catch (error) {
     if (error?.statusCode) {
       res.status(error.statusCode).json({ message: error.message });
@@ -1073,7 +4365,131 @@ app.post('/api/templates/import', authenticate, async (req, res) => {
   }
 });
 
-app.delete('/api/recurring/:id', authenticate, async (req, res) => {
+router.patch('/api/recurring/:id', authenticate, async (req, res) => {
+  try {
+    const templateId = parseRecordId(req.params.id);
+
+    if (!templateId) {
+      res.status(400).json({ message: 'Invalid template id.' });
+      return;
+    }
+
+    const existing = await get(
+      `
+        SELECT id, description, default_amount, currency, user_category_id,
+               frequency, day_of_month, day_of_week, month_of_year, start_date
+        FROM RecurringExpenditure
+        WHERE id = ? AND user_id = ?
+      `,
+      [templateId, req.userId],
+    );
+
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Template not found.' });
+      return;
+    }
+
+    const body = req.body || {};
+    const updated = { ...existing };
+
+    if (body.description !== undefined) {
+      const trimmedDescription = typeof body.description === 'string' ? body.description.trim() : '';
+      if (!trimmedDescription) {
+        res.status(400).json({ message: 'Description is required.' });
+        return;
+      }
+      if (trimmedDescription.length > 255) {
+        res.status(400).json({ message: 'Description must be 255 characters or fewer.' });
+        return;
+      }
+      updated.description = trimmedDescription;
+    }
+
+    if (body.default_amount !== undefined) {
+      updated.default_amount = parseAmountToCents(body.default_amount);
+    }
+
+    if (body.currency !== undefined) {
+      updated.currency = await resolveTransactionCurrency(req.userId, body.currency);
+    }
+
+    if (body.user_category_id !== undefined) {
+      const categoryId = parseRecordId(body.user_category_id);
+      if (!categoryId) {
+        res.status(400).json({ message: 'A valid category is required.' });
+        return;
+      }
+      updated.user_category_id = categoryId;
+    }
+
+    const category = await get(
+      'SELECT id, name, budget_type FROM UserCategory WHERE id = ? AND user_id = ?',
+      [updated.user_category_id, req.userId],
+    );
+
+    if (!category?.id) {
+      res.status(400).json({ message: 'Invalid category selection.' });
+      return;
+    }
+
+    // Sending `frequency` replaces the whole schedule; null or "none" clears it.
+    if (body.frequency !== undefined) {
+      const timeZone = await getUserTimeZone(req.userId);
+      const rule = normalizeRecurrenceRule(body, { today: getLocalDateKey(Date.now(), timeZone) });
+      updated.frequency = rule?.frequency ?? null;
+      updated.day_of_month = rule?.day_of_month ?? null;
+      updated.day_of_week = rule?.day_of_week ?? null;
+      updated.month_of_year = rule?.month_of_year ?? null;
+      updated.start_date = rule?.start_date ?? null;
+    }
+
+    await run(
+      `
+        UPDATE RecurringExpenditure
+        SET description = ?, default_amount = ?, currency = ?, user_category_id = ?,
+            frequency = ?, day_of_month = ?, day_of_week = ?, month_of_year = ?, start_date = ?
+        WHERE id = ? AND user_id = ?
+      `,
+      [
+        updated.description,
+        updated.default_amount,
+        updated.currency,
+        updated.user_category_id,
+        updated.frequency,
+        updated.day_of_month,
+        updated.day_of_week,
+        updated.month_of_year,
+        updated.start_date,
+        templateId,
+        req.userId,
+      ],
+    );
+
+    const lastRow = await get(
+      'SELECT MAX(occurrence_date) AS last_occurrence FROM RecurringPosting WHERE recurring_id = ?',
+      [templateId],
+    );
+
+    res.json({
+      ...serializeRecurringTemplate({
+        ...updated,
+        last_occurrence: lastRow?.last_occurrence || null,
+      }),
+      category_name: category.name,
+      category_budget_type: category.budget_type,
+      category,
+    });
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to update recurring template:', error);
+    res.status(500).json({ message: 'Failed to update recurring template.' });
+  }
+});
+
+router.delete('/api/recurring/:id', authenticate, async (req, res) => {
   try {
     const templateId = Number.parseInt(req.params.id, 10);
 
@@ -1100,12 +4516,264 @@ app.delete('/api/recurring/:id', authenticate, async (req, res) => {
   }
 });
 
-app.get('/api/budget/dashboard', authenticate, async (req, res) => {
+// Validates the source and amount of a recurring income template. Fields left
+// undefined are skipped when `partial` is set, for PATCH requests.
+function normalizeRecurringIncomeFields(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.source !== undefined) {
+    const trimmedSource = typeof body.source === 'string' ? body.source.trim() : '';
+    if (!trimmedSource) {
+      throw badRequest('Source is required.');
+    }
+    if (trimmedSource.length > 255) {
+      throw badRequest('Source must be 255 characters or fewer.');
+    }
+    fields.source = trimmedSource;
+  }
+
+  if (!partial || body.default_amount !== undefined) {
+    fields.default_amount = parseAmountToCents(body.default_amount);
+  }
+
+  return fields;
+}
+
+router.post('/api/recurring-income', authenticate, async (req, res) => {
+  try {
+    const { source, default_amount: defaultAmount } = normalizeRecurringIncomeFields(req.body || {});
+    const timeZone = await getUserTimeZone(req.userId);
+    const rule = normalizeRecurrenceRule(req.body, { today: getLocalDateKey(Date.now(), timeZone) });
+    const currency = await resolveTransactionCurrency(req.userId, req.body?.currency);
+
+    const countRow = await get(
+      'SELECT COUNT(*) AS count FROM RecurringIncome WHERE user_id = ?',
+      [req.userId],
+    );
+    if (Number(countRow?.count || 0) >= 50) {
+      res.status(400).json({ message: 'Recurring income template limit reached (50).' });
+      return;
+    }
+
+    const result = await run(
+      `
+        INSERT INTO RecurringIncome (
+          user_id, source, default_amount, currency,
+          frequency, day_of_month, day_of_week, month_of_year, start_date
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        req.userId,
+        source,
+        defaultAmount,
+        currency,
+        rule?.frequency ?? null,
+        rule?.day_of_month ?? null,
+        rule?.day_of_week ?? null,
+        rule?.month_of_year ?? null,
+        rule?.start_date ?? null,
+      ],
+    );
+
+    res.status(201).json(serializeRecurringTemplate({
+      id: result.lastID,
+      source,
+      default_amount: defaultAmount,
+      currency,
+      frequency: rule?.frequency ?? null,
+      day_of_month: rule?.day_of_month ?? null,
+      day_of_week: rule?.day_of_week ?? null,
+      month_of_year: rule?.month_of_year ?? null,
+      start_date: rule?.start_date ?? null,
+      last_occurrence: null,
+    }));
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to create recurring income template:', error);
+    res.status(500).json({ message: 'Failed to create recurring income template.' });
+  }
+});
+
+router.get('/api/recurring-income', authenticate, async (req, res) => {
+  try {
+    const templates = await all(
+      `
+        SELECT r.id,
+               r.source,
+               r.default_amount,
+               r.currency,
+               r.frequency,
+               r.day_of_month,
+               r.day_of_week,
+               r.month_of_year,
+               r.start_date,
+               (
+                 SELECT MAX(p.occurrence_date)
+                 FROM RecurringIncomePosting p
+                 WHERE p.recurring_income_id = r.id
+               ) AS last_occurrence
+        FROM RecurringIncome r
+        WHERE r.user_id = ?
+        ORDER BY r.source COLLATE NOCASE
+      `,
+      [req.userId],
+    );
+
+    res.json(templates.map(serializeRecurringTemplate));
+  } catch (error) {
+    console.error('Failed to load recurring income templates:', error);
+    res.status(500).json({ message: 'Failed to load recurring income templates.' });
+  }
+});
+
+router.patch('/api/recurring-income/:id', authenticate, async (req, res) => {
+  try {
+    const templateId = parseRecordId(req.params.id);
+
+    if (!templateId) {
+      res.status(400).json({ message: 'Invalid template id.' });
+      return;
+    }
+
+    const existing = await get(
+      `
+        SELECT id, source, default_amount, currency,
+               frequency, day_of_month, day_of_week, month_of_year, start_date
+        FROM RecurringIncome
+        WHERE id = ? AND user_id = ?
+      `,
+      [templateId, req.userId],
+    );
+
+    if (!existing?.id) {
+      res.status(404).json({ message: 'Template not found.' });
+      return;
+    }
+
+    const body = req.body || {};
+    const updated = { ...existing, ...normalizeRecurringIncomeFields(body, { partial: true }) };
+    if (body.currency !== undefined) {
+      updated.currency = await resolveTransactionCurrency(req.userId, body.currency);
+    }
+
+    // Sending `frequency` replaces the whole schedule; null or "none" clears it.
+    if (body.frequency !== undefined) {
+      const timeZone = await getUserTimeZone(req.userId);
+      const rule = normalizeRecurrenceRule(body, { today: getLocalDateKey(Date.now(), timeZone) });
+      updated.frequency = rule?.frequency ?? null;
+      updated.day_of_month = rule?.day_of_month ?? null;
+      updated.day_of_week = rule?.day_of_week ?? null;
+      updated.month_of_year = rule?.month_of_year ?? null;
+      updated.start_date = rule?.start_date ?? null;
+    }
+
+    await run(
+      `
+        UPDATE RecurringIncome
+        SET source = ?, default_amount = ?, currency = ?,
+            frequency = ?, day_of_month = ?, day_of_week = ?, month_of_year = ?, start_date = ?
+        WHERE id = ? AND user_id = ?
+      `,
+      [
+        updated.source,
+        updated.default_amount,
+        updated.currency,
+        updated.frequency,
+        updated.day_of_month,
+        updated.day_of_week,
+        updated.month_of_year,
+        updated.start_date,
+        templateId,
+        req.userId,
+      ],
+    );
+
+    const lastRow = await get(
+      'SELECT MAX(occurrence_date) AS last_occurrence FROM RecurringIncomePosting WHERE recurring_income_id = ?',
+      [templateId],
+    );
+
+    res.json(serializeRecurringTemplate({
+      ...updated,
+      last_occurrence: lastRow?.last_occurrence || null,
+    }));
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to update recurring income template:', error);
+    res.status(500).json({ message: 'Failed to update recurring income template.' });
+  }
+});
+
+router.delete('/api/recurring-income/:id', authenticate, async (req, res) => {
+  try {
+    const templateId = parseRecordId(req.params.id);
+
+    if (!templateId) {
+      res.status(400).json({ message: 'Invalid template id.' });
+      return;
+    }
+
+    const result = await run(
+      'DELETE FROM RecurringIncome WHERE id = ? AND user_id = ?',
+      [templateId, req.userId],
+    );
+
+    if (!result.changes) {
+      res.status(404).json({ message: 'Template not found.' });
+      return;
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Failed to delete recurring income template:', error);
+    res.status(500).json({ message: 'Failed to delete recurring income template.' });
+  }
+});
+
+router.get('/api/budget/profile', authenticate, async (req, res) => {
+  try {
+    const split = await getBudgetSplit(req.userId);
+    res.json(split);
+  } catch (error) {
+    console.error('Failed to load budget profile:', error);
+    res.status(500).json({ message: 'Failed to load budget profile.' });
+  }
+});
+
+router.put('/api/budget/profile', authenticate, async (req, res) => {
   try {
-    const { startIso, endIso } = getCurrentMonthRange();
+    const split = normalizeBudgetSplit(req.body);
+    await saveBudgetSplit(req.userId, split);
+    res.json(split);
+  } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
+    console.error('Failed to update budget profile:', error);
+    res.status(500).json({ message: 'Failed to update budget profile.' });
+  }
+});
+
+router.get('/api/budget/dashboard', authenticate, async (req, res) => {
+  try {
+    const timeZone = await getUserTimeZone(req.userId);
+    const period = resolveReportPeriod(req.query, timeZone);
+    const { startIso, endIso } = period;
 
     const totalIncomeRow = await get(
-      'SELECT COALESCE(SUM(amount), 0) AS total FROM Income WHERE user_id = ? AND date >= ? AND date < ?',
+      `
+        SELECT COALESCE(SUM(${toBaseAmountSql('i')}), 0) AS total
+        FROM Income i
+        WHERE i.user_id = ? AND i.date >= ? AND i.date < ?
+      `,
       [req.userId, startIso, endIso],
     );
     const totalIncome = Number(totalIncomeRow?.total || 0);
@@ -1118,10 +4786,10 @@ app.get('/api/budget/dashboard', authenticate, async (req, res) => {
 
     const spendingRows = await all(
       `
-        SELECT uc.budget_type AS budget_type, COALESCE(SUM(e.amount), 0) AS total
-        FROM Expenditure e
-        LEFT JOIN UserCategory uc ON uc.id = e.user_category_id
-        WHERE e.user_id = ? AND e.date >= ? AND e.date < ?
+        SELECT uc.budget_type AS budget_type, COALESCE(SUM(p.amount), 0) AS total
+        FROM (${EXPENSE_PARTS_SQL}) p
+        LEFT JOIN UserCategory uc ON uc.id = p.user_category_id
+        WHERE p.user_id = ? AND p.date >= ? AND p.date < ?
         GROUP BY uc.budget_type
       `,
       [req.userId, startIso, endIso],
@@ -1152,45 +4820,94 @@ app.get('/api/budget/dashboard', authenticate, async (req, res) => {
       [req.userId, startIso, endIso],
     );
 
-    // Merge and sort transactions to highlight the most recent activity.
+    // Merge and sort transactions to highlight the most recent activity. An
+    // explicitly requested period narrows the list to that period as well.
     const { items: recentTransactions, nextCursor } = await fetchTransactions({
       userId: req.userId,
       limit: 10,
       sort: 'newest',
+      dateFrom: period.isDefault ? null : startIso,
+      dateTo: period.isDefault ? null : new Date(new Date(endIso).getTime() - 1).toISOString(),
     });
 
+    const split = await getBudgetSplit(req.userId);
+
+    // Income and spending are in cents; each bucket's budget is rounded to
+    // whole cents before the amounts are turned into decimals.
+    const describeBucket = (percent, spent) => {
+      const budget = Math.round((totalIncome * percent) / 100);
+      return {
+        percent,
+        budget: fromCents(budget),
+        spent: fromCents(spent),
+        remaining: fromCents(budget - spent),
+      };
+    };
     const budgets = {
-      Necessities: {
-        budget: totalIncome * 0.5,
-        spent: spentByCategory.Necessities || 0,
-      },
-      Leisure: {
-        budget: totalIncome * 0.3,
-        spent: spentByCategory.Leisure || 0,
-      },
-      Savings: {
-        budget: totalIncome * 0.2,
-        spent: spentByCategory.Savings || 0,
-      },
+      Necessities: describeBucket(split.necessities_pct, spentByCategory.Necessities),
+      Leisure: describeBucket(split.leisure_pct, spentByCategory.Leisure),
+      Savings: describeBucket(split.savings_pct, spentByCategory.Savings),
     };
 
-    Object.values(budgets).forEach((bucket) => {
-      bucket.remaining = bucket.budget - bucket.spent;
-    });
-
     res.json({
-      totalIncome,
+      period: {
+        month: period.month,
+        from: startIso,
+        to: endIso,
+        timezone: timeZone,
+      },
+      base_currency: await getUserBaseCurrency(req.userId),
+      totalIncome: fromCents(totalIncome),
+      split,
       budgets,
       transactions: recentTransactions,
       hasMore: Boolean(nextCursor),
       nextCursor,
     });
   } catch (error) {
+    if (error?.statusCode) {
+      res.status(error.statusCode).json({ message: error.message });
+      return;
+    }
     console.error('Failed to load dashboard:', error);
     res.status(500).json({ message: 'Failed to load dashboard.' });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`BudgetWise MVP server listening on http://localhost:${PORT}`);
-});
+// Builds the Express app once its database schema is up to date. It uses the
+// database at DATABASE_PATH unless given a `databasePath` of its own, such as
+// ':memory:' for an isolated instance in tests.
+async function createApp({ databasePath } = {}) {
+  const db = databasePath ? openDatabase(databasePath) : getDb();
+  await withDatabase(db, () => initializeDatabase());
+
+  const app = express();
+  app.locals.db = db;
+  app.use(cors());
+  app.use(express.json({ limit: '1mb' }));
+  app.use(express.static(path.join(__dirname, 'public')));
+  // Bound after the body parser, which resumes outside the request's async
+  // context once the body has been read.
+  app.use((req, res, next) => withDatabase(db, next));
+  app.use(router);
+  return app;
+}
+
+if (require.main === module) {
+  createApp()
+    .then((app) => {
+      app.listen(PORT, () => {
+        console.log(`BudgetWise MVP server listening on http://localhost:${PORT}`);
+        startRecurringScheduler({ intervalMinutes: RECURRING_SCHEDULER_INTERVAL_MINUTES });
+      });
+    })
+    .catch((error) => {
+      console.error('Failed to initialize database:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createApp,
+  resolveReportPeriod,
+};
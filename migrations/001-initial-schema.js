@@ -0,0 +1,237 @@
+// Schema as of the introduction of migrations. Databases created before then
+// already have some of these tables, possibly without the columns added later;
+// 002-add-missing-columns brings those up to date.
+async function up({ run, createSearchIndex }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS User (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      timezone TEXT NOT NULL DEFAULT 'UTC',
+      base_currency TEXT NOT NULL DEFAULT 'USD',
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS UserCategory (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      budget_type TEXT NOT NULL CHECK (budget_type IN ('Necessities', 'Leisure', 'Savings')),
+      monthly_limit INTEGER CHECK (monthly_limit IS NULL OR monthly_limit > 0),
+      parent_id INTEGER REFERENCES UserCategory(id),
+      budget_type_override INTEGER NOT NULL DEFAULT 0 CHECK (budget_type_override IN (0, 1)),
+      UNIQUE (user_id, name COLLATE NOCASE),
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS Income (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      amount INTEGER NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'USD',
+      source TEXT,
+      date TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS Expenditure (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      user_category_id INTEGER,
+      amount INTEGER NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'USD',
+      description TEXT,
+      date TEXT NOT NULL,
+      goal_id INTEGER REFERENCES SavingsGoal(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_category_id) REFERENCES UserCategory(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Split lines divide one expense across categories. A split expense keeps
+  // its total in Expenditure.amount and has no user_category_id of its own.
+  await run(`
+    CREATE TABLE IF NOT EXISTS ExpenditureSplit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      expenditure_id INTEGER NOT NULL,
+      user_category_id INTEGER,
+      amount INTEGER NOT NULL CHECK (amount > 0),
+      FOREIGN KEY (expenditure_id) REFERENCES Expenditure(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_category_id) REFERENCES UserCategory(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Tags are free-form labels such as a trip or project. They cut across
+  // categories and can be attached to both income and expenses.
+  await run(`
+    CREATE TABLE IF NOT EXISTS Tag (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      UNIQUE (user_id, name COLLATE NOCASE),
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS IncomeTag (
+      income_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (income_id, tag_id),
+      FOREIGN KEY (income_id) REFERENCES Income(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES Tag(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS ExpenditureTag (
+      expenditure_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (expenditure_id, tag_id),
+      FOREIGN KEY (expenditure_id) REFERENCES Expenditure(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES Tag(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Savings goals track what money is put aside for. Progress comes from
+  // explicit contributions and from Savings expenses linked via goal_id.
+  await run(`
+    CREATE TABLE IF NOT EXISTS SavingsGoal (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      target_amount INTEGER NOT NULL CHECK (target_amount > 0),
+      target_date TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (user_id, name COLLATE NOCASE),
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS GoalContribution (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      goal_id INTEGER NOT NULL,
+      amount INTEGER NOT NULL CHECK (amount > 0),
+      date TEXT NOT NULL,
+      note TEXT,
+      FOREIGN KEY (goal_id) REFERENCES SavingsGoal(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Manually entered exchange rates: one unit of `currency` is worth `rate`
+  // units of `base_currency` from `effective_date` (YYYY-MM-DD) on. Rates
+  // keep the base they were entered for, so changing the user's base
+  // currency does not silently reinterpret them.
+  await run(`
+    CREATE TABLE IF NOT EXISTS ExchangeRate (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      base_currency TEXT NOT NULL,
+      rate REAL NOT NULL CHECK (rate > 0),
+      effective_date TEXT NOT NULL,
+      UNIQUE (user_id, currency, base_currency, effective_date),
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS RecurringExpenditure (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      user_category_id INTEGER NOT NULL,
+      description TEXT NOT NULL,
+      default_amount INTEGER NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'USD',
+      frequency TEXT CHECK (frequency IN ('weekly', 'monthly', 'yearly')),
+      day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+      day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),
+      month_of_year INTEGER CHECK (month_of_year BETWEEN 1 AND 12),
+      start_date TEXT,
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_category_id) REFERENCES UserCategory(id) ON DELETE RESTRICT
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS BudgetProfile (
+      user_id INTEGER PRIMARY KEY,
+      necessities_pct INTEGER NOT NULL CHECK (necessities_pct BETWEEN 0 AND 100),
+      leisure_pct INTEGER NOT NULL CHECK (leisure_pct BETWEEN 0 AND 100),
+      savings_pct INTEGER NOT NULL CHECK (savings_pct BETWEEN 0 AND 100),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      CHECK (necessities_pct + leisure_pct + savings_pct = 100),
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS RecurringPosting (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recurring_id INTEGER NOT NULL,
+      occurrence_date TEXT NOT NULL,
+      expenditure_id INTEGER,
+      posted_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (recurring_id, occurrence_date),
+      FOREIGN KEY (recurring_id) REFERENCES RecurringExpenditure(id) ON DELETE CASCADE,
+      FOREIGN KEY (expenditure_id) REFERENCES Expenditure(id) ON DELETE SET NULL
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS RecurringIncome (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      default_amount INTEGER NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'USD',
+      frequency TEXT CHECK (frequency IN ('weekly', 'monthly', 'yearly')),
+      day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+      day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),
+      month_of_year INTEGER CHECK (month_of_year BETWEEN 1 AND 12),
+      start_date TEXT,
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS RecurringIncomePosting (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recurring_income_id INTEGER NOT NULL,
+      occurrence_date TEXT NOT NULL,
+      income_id INTEGER,
+      posted_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (recurring_income_id, occurrence_date),
+      FOREIGN KEY (recurring_income_id) REFERENCES RecurringIncome(id) ON DELETE CASCADE,
+      FOREIGN KEY (income_id) REFERENCES Income(id) ON DELETE SET NULL
+    )
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS StatementTransaction (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      account_id TEXT NOT NULL DEFAULT '',
+      fitid TEXT NOT NULL,
+      income_id INTEGER,
+      expenditure_id INTEGER,
+      imported_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (user_id, account_id, fitid),
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE,
+      FOREIGN KEY (income_id) REFERENCES Income(id) ON DELETE SET NULL,
+      FOREIGN KEY (expenditure_id) REFERENCES Expenditure(id) ON DELETE SET NULL
+    )
+  `);
+
+  await createSearchIndex('Income', 'source');
+  await createSearchIndex('Expenditure', 'description');
+}
+
+module.exports = { up };
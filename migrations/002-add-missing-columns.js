@@ -0,0 +1,25 @@
+// Columns added to existing tables before migrations were tracked. Databases
+// from those versions may lack any of them; newer ones already have them all.
+async function up({ addColumnIfMissing }) {
+  await addColumnIfMissing('User', 'timezone', "TEXT NOT NULL DEFAULT 'UTC'");
+  await addColumnIfMissing('User', 'base_currency', "TEXT NOT NULL DEFAULT 'USD'");
+  await addColumnIfMissing('Income', 'currency', "TEXT NOT NULL DEFAULT 'USD'");
+  await addColumnIfMissing('Expenditure', 'currency', "TEXT NOT NULL DEFAULT 'USD'");
+  await addColumnIfMissing('RecurringExpenditure', 'currency', "TEXT NOT NULL DEFAULT 'USD'");
+  await addColumnIfMissing('RecurringIncome', 'currency', "TEXT NOT NULL DEFAULT 'USD'");
+  await addColumnIfMissing('Expenditure', 'goal_id', 'INTEGER REFERENCES SavingsGoal(id) ON DELETE SET NULL');
+  await addColumnIfMissing('UserCategory', 'monthly_limit', 'INTEGER CHECK (monthly_limit IS NULL OR monthly_limit > 0)');
+  await addColumnIfMissing('UserCategory', 'parent_id', 'INTEGER REFERENCES UserCategory(id)');
+  await addColumnIfMissing(
+    'UserCategory',
+    'budget_type_override',
+    'INTEGER NOT NULL DEFAULT 0 CHECK (budget_type_override IN (0, 1))',
+  );
+  await addColumnIfMissing('RecurringExpenditure', 'frequency', "TEXT CHECK (frequency IN ('weekly', 'monthly', 'yearly'))");
+  await addColumnIfMissing('RecurringExpenditure', 'day_of_month', 'INTEGER CHECK (day_of_month BETWEEN 1 AND 31)');
+  await addColumnIfMissing('RecurringExpenditure', 'day_of_week', 'INTEGER CHECK (day_of_week BETWEEN 0 AND 6)');
+  await addColumnIfMissing('RecurringExpenditure', 'month_of_year', 'INTEGER CHECK (month_of_year BETWEEN 1 AND 12)');
+  await addColumnIfMissing('RecurringExpenditure', 'start_date', 'TEXT');
+}
+
+module.exports = { up };
@@ -0,0 +1,27 @@
+// Columns holding money. They used to be REAL and now store integer cents.
+const MONEY_COLUMNS = [
+  ['Income', 'amount'],
+  ['Expenditure', 'amount'],
+  ['ExpenditureSplit', 'amount'],
+  ['RecurringExpenditure', 'default_amount'],
+  ['RecurringIncome', 'default_amount'],
+  ['UserCategory', 'monthly_limit'],
+  ['SavingsGoal', 'target_amount'],
+  ['GoalContribution', 'amount'],
+];
+
+// Converts amounts stored as decimals to cents. Databases converted before
+// migrations were tracked have PRAGMA user_version 1 and are left alone. Older
+// tables keep their declared REAL type but only hold whole numbers afterwards.
+async function up({ run, get }) {
+  const { user_version: userVersion } = await get('PRAGMA user_version');
+  if (userVersion >= 1) {
+    return;
+  }
+
+  for (const [table, column] of MONEY_COLUMNS) {
+    await run(`UPDATE ${table} SET ${column} = CAST(ROUND(${column} * 100) AS INTEGER) WHERE ${column} IS NOT NULL`);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,27 @@
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedDayStart,
+  parseDateKey,
+} = require('../timezone');
+
+// Stores when each exchange rate takes effect as a UTC instant: the start of
+// its effective_date in the owner's time zone. Transactions are dated by
+// instant, so comparing against it picks the rate of their local day.
+async function up({ all, run, addColumnIfMissing }) {
+  await addColumnIfMissing('ExchangeRate', 'effective_from', 'TEXT');
+
+  const rates = await all(`
+    SELECT r.id, r.effective_date, u.timezone
+    FROM ExchangeRate r
+    JOIN User u ON u.id = r.user_id
+  `);
+  for (const rate of rates) {
+    const timeZone = isValidTimeZone(rate.timezone) ? rate.timezone : DEFAULT_TIME_ZONE;
+    const date = parseDateKey(rate.effective_date);
+    const start = getZonedDayStart(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), timeZone);
+    await run('UPDATE ExchangeRate SET effective_from = ? WHERE id = ?', [start.toISOString(), rate.id]);
+  }
+}
+
+module.exports = { up };
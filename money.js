@@ -0,0 +1,38 @@
+// Money is stored as integer minor units (cents) so that sums stay exact. The
+// API keeps taking and returning decimal amounts; these helpers convert at
+// that boundary.
+
+const { badRequest } = require('./errors');
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return cents === null || cents === undefined ? null : Number(cents) / 100;
+}
+
+// Validates a positive amount with at most two decimal places and returns it
+// in cents. `label` starts the error messages, e.g. "Monthly limit".
+function parseAmountToCents(value, label = 'Amount') {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw badRequest(`${label} must be a positive number.`);
+  }
+
+  const cents = toCents(amount);
+  if (Math.abs(cents / 100 - amount) > 1e-8) {
+    throw badRequest(`${label} must have at most two decimal places.`);
+  }
+  if (!Number.isSafeInteger(cents)) {
+    throw badRequest(`${label} is too large.`);
+  }
+
+  return cents;
+}
+
+module.exports = {
+  toCents,
+  fromCents,
+  parseAmountToCents,
+};
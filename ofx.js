@@ -0,0 +1,109 @@
+const { badRequest } = require('./errors');
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&nbsp;': ' ',
+};
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (entity) => ENTITIES[entity]);
+}
+
+// Reads a leaf element. OFX 1.x (SGML) leaves have no closing tag, so the
+// value runs until the next tag or line break; 2.x (XML) closes every tag.
+function readElement(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1]).trim() : '';
+}
+
+// Aggregates such as <STMTTRN> are closed in both OFX versions.
+function readAggregates(text, tag) {
+  return text.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+// DTPOSTED looks like YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]. The bank's calendar
+// date is what the statement shows, so only the date part is kept.
+function parseOfxDate(value) {
+  const match = typeof value === 'string' ? value.match(/^(\d{4})(\d{2})(\d{2})/) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+function parseOfxAmount(value) {
+  if (!value) {
+    return null;
+  }
+
+  // A few banks write decimal commas ("-12,50").
+  const normalized = value.includes('.') ? value.replace(/,/g, '') : value.replace(',', '.');
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(normalized)) {
+    return null;
+  }
+
+  return Number(normalized);
+}
+
+// Parses an OFX 1.x or 2.x bank or credit card statement into its
+// transactions. Each one carries the account it belongs to, since FITIDs are
+// only unique within an account.
+function parseOfx(text) {
+  if (typeof text !== 'string' || !/<OFX>/i.test(text)) {
+    throw badRequest('File is not an OFX or QFX statement.');
+  }
+
+  const statements = [
+    ...readAggregates(text, 'STMTRS'),
+    ...readAggregates(text, 'CCSTMTRS'),
+  ];
+
+  if (!statements.length) {
+    throw badRequest('The OFX file contains no bank or credit card statements.');
+  }
+
+  const transactions = [];
+  statements.forEach((statement) => {
+    const accountId = [readElement(statement, 'BANKID'), readElement(statement, 'ACCTID')]
+      .filter(Boolean)
+      .join(':');
+
+    readAggregates(statement, 'STMTTRN').forEach((block) => {
+      const name = readElement(block, 'NAME') || readElement(block, 'PAYEE');
+      const memo = readElement(block, 'MEMO');
+      const rawAmount = readElement(block, 'TRNAMT');
+      const rawDate = readElement(block, 'DTPOSTED');
+
+      transactions.push({
+        accountId,
+        fitid: readElement(block, 'FITID'),
+        amount: parseOfxAmount(rawAmount),
+        rawAmount,
+        dateKey: parseOfxDate(rawDate),
+        rawDate,
+        description: (memo && memo !== name ? [name, memo].filter(Boolean).join(' - ') : name).slice(0, 255),
+      });
+    });
+  });
+
+  return transactions;
+}
+
+module.exports = {
+  parseOfx,
+  parseOfxDate,
+  parseOfxAmount,
+};
@@ -21,10 +21,22 @@
   const importTemplateInput = document.getElementById('import-template-input');
   const categoryListEl = document.getElementById('category-list');
   const categoryEmptyEl = document.getElementById('category-empty-state');
+  const tagListEl = document.getElementById('tag-list');
+  const tagEmptyEl = document.getElementById('tag-empty-state');
   const recurringListEl = document.getElementById('recurring-list');
   const recurringEmptyEl = document.getElementById('recurring-empty-state');
   const recurringCategorySelect = document.getElementById('recurring-category');
   const recurringCategoryEmptyHint = document.getElementById('recurring-category-empty');
+  const recurringScheduleContainer = document.getElementById('recurring-schedule-fields');
+  const recurringIncomeListEl = document.getElementById('recurring-income-list');
+  const recurringIncomeEmptyEl = document.getElementById('recurring-income-empty-state');
+  const recurringIncomeScheduleContainer = document.getElementById('recurring-income-schedule-fields');
+
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+  ];
 
   let categoriesCache = [];
 
@@ -63,6 +75,305 @@
     };
   };
 
+  const validateMonthlyLimit = (value) => {
+    if (value === '') {
+      return null;
+    }
+
+    const limit = Number(value);
+    if (!Number.isFinite(limit) || limit <= 0) {
+      return 'Monthly limit must be a positive number.';
+    }
+
+    return null;
+  };
+
+  // GET /api/categories returns a tree. Lists and selects show each parent
+  // followed by its sub-categories.
+  const flattenCategories = (tree) => tree.flatMap((category) => [
+    { ...category, label: category.name },
+    ...(category.children || []).map((child) => ({ ...child, label: `${category.name} > ${child.name}` })),
+  ]);
+
+  // Budget bucket options are copied from the create form, whose labels
+  // follow the user's split.
+  const fillBudgetTypeOptions = (select) => {
+    const source = document.getElementById('category-type');
+    Array.from(source ? source.options : [])
+      .filter((option) => option.value)
+      .forEach((option) => {
+        select.appendChild(option.cloneNode(true));
+      });
+  };
+
+  // Sub-categories can follow their parent's budget bucket, offered as an
+  // empty-valued "Same as parent" option.
+  const syncInheritOption = (select, hasParent) => {
+    const inheritOption = Array.from(select.options).find((option) => option.value === '');
+    if (hasParent && !inheritOption) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'Same as parent';
+      select.insertBefore(option, select.firstChild);
+      select.value = '';
+    } else if (!hasParent && inheritOption) {
+      inheritOption.remove();
+      select.selectedIndex = 0;
+    }
+  };
+
+  const fillParentOptions = (select, excludeId = null) => {
+    select.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'None (top level)';
+    select.appendChild(none);
+
+    categoriesCache
+      .filter((candidate) => !candidate.parent_id && candidate.id !== excludeId)
+      .forEach((candidate) => {
+        const option = document.createElement('option');
+        option.value = String(candidate.id);
+        option.textContent = candidate.name;
+        select.appendChild(option);
+      });
+  };
+
+  const createEditorField = (labelText, control) => {
+    const label = document.createElement('label');
+    label.className = 'flex flex-col text-xs font-medium text-slate-700';
+    label.textContent = labelText;
+    control.classList.add('mt-1', 'rounded', 'border', 'border-slate-300', 'px-2', 'py-1', 'text-sm');
+    label.appendChild(control);
+    return label;
+  };
+
+  const createCategoryEditor = (category) => {
+    const form = document.createElement('form');
+    form.className = 'mt-3 space-y-3 rounded border border-slate-200 bg-slate-50 p-3';
+
+    const fields = document.createElement('div');
+    fields.className = 'grid gap-2 sm:grid-cols-2';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 40;
+    nameInput.required = true;
+    nameInput.value = category.name;
+
+    const parentSelect = document.createElement('select');
+    fillParentOptions(parentSelect, category.id);
+    parentSelect.value = category.parent_id ? String(category.parent_id) : '';
+    // A category with sub-categories has to stay at the top level.
+    parentSelect.disabled = Boolean(category.children?.length);
+
+    const typeSelect = document.createElement('select');
+    fillBudgetTypeOptions(typeSelect);
+    syncInheritOption(typeSelect, Boolean(category.parent_id));
+    typeSelect.value = category.budget_type_inherited ? '' : category.budget_type;
+    parentSelect.addEventListener('change', () => {
+      syncInheritOption(typeSelect, parentSelect.value !== '');
+    });
+
+    const limitInput = document.createElement('input');
+    limitInput.type = 'number';
+    limitInput.min = '0.01';
+    limitInput.step = '0.01';
+    limitInput.placeholder = 'No limit';
+    limitInput.value = category.monthly_limit ?? '';
+
+    fields.appendChild(createEditorField('Name', nameInput));
+    fields.appendChild(createEditorField('Parent category', parentSelect));
+    fields.appendChild(createEditorField('Budget bucket', typeSelect));
+    fields.appendChild(createEditorField('Monthly limit', limitInput));
+    form.appendChild(fields);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'flex gap-2';
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'rounded bg-blue-600 px-3 py-1 text-xs font-semibold text-white hover:bg-blue-500';
+    saveButton.textContent = 'Save';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => form.remove());
+
+    buttons.appendChild(saveButton);
+    buttons.appendChild(cancelButton);
+    form.appendChild(buttons);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      setStatus('');
+
+      const name = nameInput.value.trim();
+      const limit = limitInput.value.trim();
+
+      if (!name) {
+        setStatus('Please provide a category name.', true);
+        return;
+      }
+
+      const validationError = validateMonthlyLimit(limit);
+      if (validationError) {
+        setStatus(validationError, true);
+        return;
+      }
+
+      try {
+        const headers = requireAuthHeaders({
+          'Content-Type': 'application/json',
+        });
+        if (!headers) {
+          return;
+        }
+
+        const response = await fetch(`/api/categories/${category.id}`, {
+          method: 'PATCH',
+          headers,
+          body: JSON.stringify({
+            name,
+            parent_id: parentSelect.value ? Number(parentSelect.value) : null,
+            budget_type: typeSelect.value || null,
+            monthly_limit: limit === '' ? null : Number(limit),
+          }),
+        });
+
+        if (response.status === 401) {
+          handleUnauthorized();
+          return;
+        }
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(payload.message || 'Failed to update category.');
+        }
+
+        setStatus(`"${payload.name}" updated.`);
+        await loadCategories();
+        await loadRecurring();
+      } catch (error) {
+        console.error('Update category error:', error);
+        setStatus(error.message, true);
+      }
+    });
+
+    return form;
+  };
+
+  const createMergeEditor = (category) => {
+    const form = document.createElement('form');
+    form.className = 'mt-3 flex flex-wrap items-end gap-2 rounded border border-slate-200 bg-slate-50 p-3';
+
+    const targetSelect = document.createElement('select');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Select category';
+    placeholder.disabled = true;
+    placeholder.selected = true;
+    targetSelect.appendChild(placeholder);
+
+    categoriesCache
+      .filter((candidate) => candidate.id !== category.id)
+      .forEach((candidate) => {
+        const option = document.createElement('option');
+        option.value = String(candidate.id);
+        option.textContent = `${candidate.label} (${candidate.budget_type})`;
+        targetSelect.appendChild(option);
+      });
+
+    const mergeButton = document.createElement('button');
+    mergeButton.type = 'submit';
+    mergeButton.className = 'rounded bg-blue-600 px-3 py-1 text-xs font-semibold text-white hover:bg-blue-500';
+    mergeButton.textContent = 'Merge';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => form.remove());
+
+    form.appendChild(createEditorField(`Merge "${category.name}" into`, targetSelect));
+    form.appendChild(mergeButton);
+    form.appendChild(cancelButton);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      setStatus('');
+
+      const target = categoriesCache.find((candidate) => String(candidate.id) === targetSelect.value);
+      if (!target) {
+        setStatus('Choose the category to merge into.', true);
+        return;
+      }
+
+      const confirmed = window.confirm(
+        `Move all expenses and recurring templates from "${category.name}" to "${target.name}" and delete "${category.name}"?`,
+      );
+      if (!confirmed) {
+        return;
+      }
+
+      try {
+        const headers = requireAuthHeaders({
+          'Content-Type': 'application/json',
+        });
+        if (!headers) {
+          return;
+        }
+
+        const response = await fetch(`/api/categories/${category.id}/merge`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ target_id: target.id }),
+        });
+
+        if (response.status === 401) {
+          handleUnauthorized();
+          return;
+        }
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(payload.message || 'Failed to merge categories.');
+        }
+
+        setStatus(
+          `Merged "${payload.merged.name}" into "${payload.target.name}" `
+          + `(${payload.moved.expenses} expense(s), ${payload.moved.recurring} recurring template(s) moved).`,
+        );
+        await loadCategories();
+        await loadRecurring();
+      } catch (error) {
+        console.error('Merge category error:', error);
+        setStatus(error.message, true);
+      }
+    });
+
+    return form;
+  };
+
+  // Shows one inline editor per list item at a time; clicking the same action
+  // again closes it.
+  const toggleInlineEditor = (item, name, buildEditor) => {
+    const openEditor = item.querySelector('form[data-editor]');
+    if (openEditor) {
+      openEditor.remove();
+      if (openEditor.dataset.editor === name) {
+        return;
+      }
+    }
+
+    const editor = buildEditor();
+    editor.dataset.editor = name;
+    item.appendChild(editor);
+  };
+
   const renderCategoryList = (categories) => {
     if (!categoryListEl || !categoryEmptyEl) {
       return;
@@ -79,7 +390,10 @@
 
     categories.forEach((category) => {
       const item = document.createElement('li');
-      item.className = 'flex items-center justify-between gap-4 py-3';
+      item.className = category.parent_id ? 'py-3 pl-6' : 'py-3';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-4';
 
       const meta = document.createElement('div');
       meta.className = 'flex flex-col';
@@ -90,10 +404,40 @@
 
       const badge = document.createElement('span');
       badge.className = 'text-xs uppercase tracking-wide text-slate-500';
-      badge.textContent = category.budget_type;
+      badge.textContent = category.budget_type_inherited
+        ? `${category.budget_type} (from parent)`
+        : category.budget_type;
+
+      const limitLabel = document.createElement('span');
+      limitLabel.className = 'text-xs text-slate-500';
+      limitLabel.textContent = category.monthly_limit
+        ? `Limit: ${formatCurrency(category.monthly_limit)} / month`
+        : 'No monthly limit';
 
       meta.appendChild(name);
       meta.appendChild(badge);
+      meta.appendChild(limitLabel);
+
+      const actions = document.createElement('div');
+      actions.className = 'flex gap-2';
+
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => {
+        toggleInlineEditor(item, 'edit', () => createCategoryEditor(category));
+      });
+
+      const mergeButton = document.createElement('button');
+      mergeButton.type = 'button';
+      mergeButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+      mergeButton.textContent = 'Merge into…';
+      mergeButton.disabled = categories.length < 2;
+      mergeButton.classList.toggle('opacity-50', mergeButton.disabled);
+      mergeButton.addEventListener('click', () => {
+        toggleInlineEditor(item, 'merge', () => createMergeEditor(category));
+      });
 
       const deleteButton = document.createElement('button');
       deleteButton.type = 'button';
@@ -101,7 +445,7 @@
       deleteButton.textContent = 'Delete';
       deleteButton.addEventListener('click', async () => {
         const confirmed = window.confirm(
-          `Delete "${category.name}"? Expenses linked to this category must be removed first.`,
+          `Delete "${category.name}"? Categories with expenses must be merged into another category instead.`,
         );
         if (!confirmed) {
           return;
@@ -141,12 +485,199 @@
         }
       });
 
-      item.appendChild(meta);
-      item.appendChild(deleteButton);
+      actions.appendChild(editButton);
+      actions.appendChild(mergeButton);
+      actions.appendChild(deleteButton);
+      row.appendChild(meta);
+      row.appendChild(actions);
+      item.appendChild(row);
       categoryListEl.appendChild(item);
     });
   };
 
+  const createTagEditor = (tag) => {
+    const form = document.createElement('form');
+    form.className = 'mt-3 flex flex-wrap items-end gap-2 rounded border border-slate-200 bg-slate-50 p-3';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 30;
+    nameInput.required = true;
+    nameInput.value = tag.name;
+    form.appendChild(createEditorField('Name', nameInput));
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'rounded bg-blue-600 px-3 py-1 text-xs font-semibold text-white hover:bg-blue-500';
+    saveButton.textContent = 'Rename';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => form.remove());
+
+    form.appendChild(saveButton);
+    form.appendChild(cancelButton);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      setStatus('');
+
+      const name = nameInput.value.trim();
+      if (!name) {
+        setStatus('Please provide a tag name.', true);
+        return;
+      }
+
+      try {
+        const headers = requireAuthHeaders({
+          'Content-Type': 'application/json',
+        });
+        if (!headers) {
+          return;
+        }
+
+        const response = await fetch(`/api/tags/${tag.id}`, {
+          method: 'PATCH',
+          headers,
+          body: JSON.stringify({ name }),
+        });
+
+        if (response.status === 401) {
+          handleUnauthorized();
+          return;
+        }
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(payload.message || 'Failed to rename tag.');
+        }
+
+        setStatus(`Tag renamed to "${payload.name}".`);
+        await loadTags();
+      } catch (error) {
+        console.error('Rename tag error:', error);
+        setStatus(error.message, true);
+      }
+    });
+
+    return form;
+  };
+
+  const renderTagList = (tags) => {
+    if (!tagListEl || !tagEmptyEl) {
+      return;
+    }
+
+    tagListEl.innerHTML = '';
+    tagEmptyEl.classList.toggle('hidden', tags.length > 0);
+
+    tags.forEach((tag) => {
+      const item = document.createElement('li');
+      item.className = 'py-3';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-4';
+
+      const meta = document.createElement('div');
+      meta.className = 'flex flex-col';
+
+      const name = document.createElement('span');
+      name.className = 'font-medium';
+      name.textContent = tag.name;
+
+      const usage = document.createElement('span');
+      usage.className = 'text-xs text-slate-500';
+      usage.textContent = `${tag.transaction_count} transaction${tag.transaction_count === 1 ? '' : 's'}`;
+
+      meta.appendChild(name);
+      meta.appendChild(usage);
+
+      const actions = document.createElement('div');
+      actions.className = 'flex gap-2';
+
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+      editButton.textContent = 'Rename';
+      editButton.addEventListener('click', () => {
+        toggleInlineEditor(item, 'rename', () => createTagEditor(tag));
+      });
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'rounded border border-red-200 px-3 py-1 text-xs font-semibold text-red-600 hover:bg-red-50';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', async () => {
+        const confirmed = window.confirm(`Delete the tag "${tag.name}"? Its transactions are kept.`);
+        if (!confirmed) {
+          return;
+        }
+
+        try {
+          const headers = requireAuthHeaders();
+          if (!headers) {
+            return;
+          }
+
+          const response = await fetch(`/api/tags/${tag.id}`, {
+            method: 'DELETE',
+            headers,
+          });
+
+          if (response.status === 401) {
+            handleUnauthorized();
+            return;
+          }
+
+          if (!response.ok && response.status !== 204) {
+            const payload = await response.json().catch(() => ({}));
+            throw new Error(payload.message || 'Failed to delete tag.');
+          }
+
+          setStatus('Tag deleted.');
+          await loadTags();
+        } catch (error) {
+          console.error('Delete tag error:', error);
+          setStatus(error.message, true);
+        }
+      });
+
+      actions.appendChild(editButton);
+      actions.appendChild(deleteButton);
+      row.appendChild(meta);
+      row.appendChild(actions);
+      item.appendChild(row);
+      tagListEl.appendChild(item);
+    });
+  };
+
+  const loadTags = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/tags', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load tags.');
+      }
+
+      const data = await response.json();
+      renderTagList(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message, true);
+    }
+  };
+
   const renderRecurringCategoryOptions = (categories) => {
     if (!recurringCategorySelect || !recurringCategoryEmptyHint) {
       return;
@@ -173,11 +704,215 @@
     categories.forEach((category) => {
       const option = document.createElement('option');
       option.value = category.id;
-      option.textContent = `${category.name} (${category.budget_type})`;
+      option.textContent = `${category.label} (${category.budget_type})`;
       recurringCategorySelect.appendChild(option);
     });
   };
 
+  const describeSchedule = (template) => {
+    if (!template.frequency) {
+      return 'Manual only';
+    }
+
+    if (template.frequency === 'weekly') {
+      return `Weekly on ${WEEKDAYS[template.day_of_week] || '?'}`;
+    }
+
+    if (template.frequency === 'yearly') {
+      return `Yearly on ${MONTHS[(template.month_of_year || 1) - 1]} ${template.day_of_month}`;
+    }
+
+    return `Monthly on day ${template.day_of_month}`;
+  };
+
+  // Builds the frequency/day inputs used by the create form and the inline
+  // schedule editor. Returns a reader for the current values.
+  const buildScheduleFields = (container, initial = {}) => {
+    container.innerHTML = '';
+    container.className = 'space-y-3';
+
+    const inputClass = 'mt-1 w-full rounded border border-slate-300 px-3 py-2 focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+    const createField = (labelText, control) => {
+      const wrapper = document.createElement('div');
+      const label = document.createElement('label');
+      label.className = 'block text-sm font-medium text-slate-700';
+      label.textContent = labelText;
+      label.appendChild(control);
+      wrapper.appendChild(label);
+      container.appendChild(wrapper);
+      return wrapper;
+    };
+
+    const createSelect = (options, value) => {
+      const select = document.createElement('select');
+      select.className = inputClass;
+      options.forEach(([optionValue, text]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.value = value;
+      return select;
+    };
+
+    const frequencySelect = createSelect(
+      [['', 'Manual only'], ['weekly', 'Weekly'], ['monthly', 'Monthly'], ['yearly', 'Yearly']],
+      initial.frequency || '',
+    );
+    createField('Repeats', frequencySelect);
+
+    const dayOfWeekSelect = createSelect(
+      WEEKDAYS.map((name, index) => [String(index), name]),
+      String(initial.day_of_week ?? 1),
+    );
+    const dayOfWeekField = createField('Day of week', dayOfWeekSelect);
+
+    const monthSelect = createSelect(
+      MONTHS.map((name, index) => [String(index + 1), name]),
+      String(initial.month_of_year ?? 1),
+    );
+    const monthField = createField('Month', monthSelect);
+
+    const dayOfMonthInput = document.createElement('input');
+    dayOfMonthInput.type = 'number';
+    dayOfMonthInput.min = '1';
+    dayOfMonthInput.max = '31';
+    dayOfMonthInput.step = '1';
+    dayOfMonthInput.className = inputClass;
+    dayOfMonthInput.value = String(initial.day_of_month ?? 1);
+    const dayOfMonthField = createField('Day of month', dayOfMonthInput);
+
+    const hint = document.createElement('p');
+    hint.className = 'text-xs text-slate-500';
+    hint.textContent = 'Days past the end of a short month post on its last day.';
+    dayOfMonthField.appendChild(hint);
+
+    const syncVisibility = () => {
+      const frequency = frequencySelect.value;
+      dayOfWeekField.classList.toggle('hidden', frequency !== 'weekly');
+      monthField.classList.toggle('hidden', frequency !== 'yearly');
+      dayOfMonthField.classList.toggle('hidden', frequency !== 'monthly' && frequency !== 'yearly');
+    };
+
+    frequencySelect.addEventListener('change', syncVisibility);
+    syncVisibility();
+
+    return () => {
+      const frequency = frequencySelect.value;
+      if (!frequency) {
+        return { frequency: null };
+      }
+
+      if (frequency === 'weekly') {
+        return { frequency, day_of_week: Number(dayOfWeekSelect.value) };
+      }
+
+      const schedule = { frequency, day_of_month: Number(dayOfMonthInput.value) };
+      if (frequency === 'yearly') {
+        schedule.month_of_year = Number(monthSelect.value);
+      }
+      return schedule;
+    };
+  };
+
+  const validateSchedule = (schedule) => {
+    if (schedule.day_of_month !== undefined
+      && (!Number.isInteger(schedule.day_of_month) || schedule.day_of_month < 1 || schedule.day_of_month > 31)) {
+      return 'Day of month must be between 1 and 31.';
+    }
+    return null;
+  };
+
+  let readCreateSchedule = () => ({ frequency: null });
+  if (recurringScheduleContainer) {
+    readCreateSchedule = buildScheduleFields(recurringScheduleContainer);
+  }
+
+  let readCreateIncomeSchedule = () => ({ frequency: null });
+  if (recurringIncomeScheduleContainer) {
+    readCreateIncomeSchedule = buildScheduleFields(recurringIncomeScheduleContainer);
+  }
+
+  // PATCHes the schedule of an expense or income template, then reloads its list.
+  const saveSchedule = async (url, schedule, reload) => {
+    try {
+      const headers = requireAuthHeaders({
+        'Content-Type': 'application/json',
+      });
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch(url, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify(schedule),
+      });
+
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(payload.message || 'Failed to update schedule.');
+      }
+
+      setStatus(`Schedule for "${payload.description || payload.source}" updated.`);
+      await reload();
+    } catch (error) {
+      console.error('Update schedule error:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  const createScheduleEditor = (template, onSave) => {
+    const form = document.createElement('form');
+    form.className = 'mt-3 space-y-3 rounded border border-slate-200 bg-slate-50 p-3';
+
+    const fields = document.createElement('div');
+    form.appendChild(fields);
+    const readSchedule = buildScheduleFields(fields, template);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'flex gap-2';
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'rounded bg-blue-600 px-3 py-1 text-xs font-semibold text-white hover:bg-blue-500';
+    saveButton.textContent = 'Save schedule';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => form.remove());
+
+    buttons.appendChild(saveButton);
+    buttons.appendChild(cancelButton);
+    form.appendChild(buttons);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      setStatus('');
+
+      const schedule = readSchedule();
+      const validationError = validateSchedule(schedule);
+      if (validationError) {
+        setStatus(validationError, true);
+        return;
+      }
+
+      await onSave(schedule);
+    });
+
+    return form;
+  };
+
   const renderRecurringList = (templates) => {
     if (!recurringListEl || !recurringEmptyEl) {
       return;
@@ -194,7 +929,7 @@
 
     templates.forEach((template) => {
       const item = document.createElement('li');
-      item.className = 'flex items-center justify-between gap-4 py-3';
+      item.className = 'py-3';
 
       const meta = document.createElement('div');
       meta.className = 'flex flex-col';
@@ -207,8 +942,31 @@
       subtitle.className = 'text-xs uppercase tracking-wide text-slate-500';
       subtitle.textContent = `${formatCurrency(template.default_amount)} • ${template.category_name} (${template.category_budget_type})`;
 
+      const scheduleLabel = document.createElement('span');
+      scheduleLabel.className = 'text-xs text-slate-500';
+      scheduleLabel.textContent = template.next_occurrence
+        ? `${describeSchedule(template)} • next ${template.next_occurrence}`
+        : describeSchedule(template);
+
       meta.appendChild(name);
       meta.appendChild(subtitle);
+      meta.appendChild(scheduleLabel);
+
+      const scheduleButton = document.createElement('button');
+      scheduleButton.type = 'button';
+      scheduleButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+      scheduleButton.textContent = 'Schedule';
+      scheduleButton.addEventListener('click', () => {
+        const existingEditor = item.querySelector('form');
+        if (existingEditor) {
+          existingEditor.remove();
+          return;
+        }
+        item.appendChild(createScheduleEditor(
+          template,
+          (schedule) => saveSchedule(`/api/recurring/${template.id}`, schedule, loadRecurring),
+        ));
+      });
 
       const deleteButton = document.createElement('button');
       deleteButton.type = 'button';
@@ -251,12 +1009,132 @@
         }
       });
 
-      item.appendChild(meta);
-      item.appendChild(deleteButton);
+      const actions = document.createElement('div');
+      actions.className = 'flex gap-2';
+      actions.appendChild(scheduleButton);
+      actions.appendChild(deleteButton);
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-4';
+      row.appendChild(meta);
+      row.appendChild(actions);
+
+      item.appendChild(row);
       recurringListEl.appendChild(item);
     });
   };
 
+  const renderRecurringIncomeList = (templates) => {
+    if (!recurringIncomeListEl || !recurringIncomeEmptyEl) {
+      return;
+    }
+
+    recurringIncomeListEl.innerHTML = '';
+
+    if (!templates || templates.length === 0) {
+      recurringIncomeEmptyEl.classList.remove('hidden');
+      return;
+    }
+
+    recurringIncomeEmptyEl.classList.add('hidden');
+
+    templates.forEach((template) => {
+      const item = document.createElement('li');
+      item.className = 'py-3';
+
+      const meta = document.createElement('div');
+      meta.className = 'flex flex-col';
+
+      const name = document.createElement('span');
+      name.className = 'font-medium';
+      name.textContent = template.source;
+
+      const subtitle = document.createElement('span');
+      subtitle.className = 'text-xs uppercase tracking-wide text-slate-500';
+      subtitle.textContent = formatCurrency(template.default_amount);
+
+      const scheduleLabel = document.createElement('span');
+      scheduleLabel.className = 'text-xs text-slate-500';
+      scheduleLabel.textContent = template.next_occurrence
+        ? `${describeSchedule(template)} • next ${template.next_occurrence}`
+        : describeSchedule(template);
+
+      meta.appendChild(name);
+      meta.appendChild(subtitle);
+      meta.appendChild(scheduleLabel);
+
+      const scheduleButton = document.createElement('button');
+      scheduleButton.type = 'button';
+      scheduleButton.className = 'rounded border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-100';
+      scheduleButton.textContent = 'Schedule';
+      scheduleButton.addEventListener('click', () => {
+        const existingEditor = item.querySelector('form');
+        if (existingEditor) {
+          existingEditor.remove();
+          return;
+        }
+        item.appendChild(createScheduleEditor(
+          template,
+          (schedule) => saveSchedule(`/api/recurring-income/${template.id}`, schedule, loadRecurringIncome),
+        ));
+      });
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'rounded border border-red-200 px-3 py-1 text-xs font-semibold text-red-600 hover:bg-red-50';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', async () => {
+        const confirmed = window.confirm(
+          `Delete recurring income "${template.source}"?`,
+        );
+        if (!confirmed) {
+          return;
+        }
+
+        try {
+          const headers = requireAuthHeaders();
+          if (!headers) {
+            return;
+          }
+
+          const response = await fetch(`/api/recurring-income/${template.id}`, {
+            method: 'DELETE',
+            headers,
+          });
+
+          if (response.status === 401) {
+            handleUnauthorized();
+            return;
+          }
+
+          if (!response.ok && response.status !== 204) {
+            const payload = await response.json().catch(() => ({}));
+            throw new Error(payload.message || 'Failed to delete template.');
+          }
+
+          setStatus('Recurring income template deleted.');
+          await loadRecurringIncome();
+        } catch (error) {
+          console.error('Delete recurring income template error:', error);
+          setStatus(error.message, true);
+        }
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'flex gap-2';
+      actions.appendChild(scheduleButton);
+      actions.appendChild(deleteButton);
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-4';
+      row.appendChild(meta);
+      row.appendChild(actions);
+
+      item.appendChild(row);
+      recurringIncomeListEl.appendChild(item);
+    });
+  };
+
   const loadCategories = async () => {
     try {
       const headers = requireAuthHeaders();
@@ -275,9 +1153,10 @@
       }
 
       const data = await response.json();
-      categoriesCache = Array.isArray(data) ? data : [];
+      categoriesCache = Array.isArray(data) ? flattenCategories(data) : [];
       renderCategoryList(categoriesCache);
       renderRecurringCategoryOptions(categoriesCache);
+      renderParentCategoryOptions();
       return categoriesCache;
     } catch (error) {
       console.error(error);
@@ -285,10 +1164,61 @@
       categoriesCache = [];
       renderCategoryList(categoriesCache);
       renderRecurringCategoryOptions(categoriesCache);
+      renderParentCategoryOptions();
       return [];
     }
   };
 
+  const renderParentCategoryOptions = () => {
+    const parentSelect = document.getElementById('category-parent');
+    const typeSelect = document.getElementById('category-type');
+    if (!parentSelect || !typeSelect) {
+      return;
+    }
+
+    const selected = parentSelect.value;
+    fillParentOptions(parentSelect);
+    parentSelect.value = categoriesCache.some((category) => String(category.id) === selected) ? selected : '';
+    syncInheritOption(typeSelect, parentSelect.value !== '');
+  };
+
+  const renderBudgetTypeOptions = (split) => {
+    const select = document.getElementById('category-type');
+    if (!select || !split) {
+      return;
+    }
+
+    Array.from(select.options).forEach((option) => {
+      const percent = split[`${option.value.toLowerCase()}_pct`];
+      if (Number.isFinite(percent)) {
+        option.textContent = `${option.value} (${percent}%)`;
+      }
+    });
+  };
+
+  const loadBudgetSplit = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/budget/profile', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load budget split.');
+      }
+
+      renderBudgetTypeOptions(await response.json());
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
   const loadRecurring = async () => {
     try {
       const headers = requireAuthHeaders();
@@ -317,6 +1247,34 @@
     }
   };
 
+  const loadRecurringIncome = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return [];
+      }
+
+      const response = await fetch('/api/recurring-income', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return [];
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load recurring income templates.');
+      }
+
+      const templates = await response.json();
+      renderRecurringIncomeList(Array.isArray(templates) ? templates : []);
+      return templates;
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message, true);
+      renderRecurringIncomeList([]);
+      return [];
+    }
+  };
+
   const exportTemplate = async () => {
     try {
       const headers = requireAuthHeaders();
@@ -398,12 +1356,17 @@
       const insertedRecurring = payload?.inserted?.recurring ?? 0;
       const skippedCategories = payload?.skipped?.categories ?? 0;
       const skippedRecurring = payload?.skipped?.recurring ?? 0;
+      const insertedRecurringIncome = payload?.inserted?.recurring_income ?? 0;
+      const skippedRecurringIncome = payload?.skipped?.recurring_income ?? 0;
+      const splitUpdated = (payload?.inserted?.budget_split ?? 0) > 0;
 
       setStatus(
-        `Import complete. Categories added: ${insertedCategories} (skipped ${skippedCategories}), Recurring added: ${insertedRecurring} (skipped ${skippedRecurring}).`,
+        `Import complete. Categories added: ${insertedCategories} (skipped ${skippedCategories}), Recurring added: ${insertedRecurring} (skipped ${skippedRecurring}), Recurring income added: ${insertedRecurringIncome} (skipped ${skippedRecurringIncome}).${splitUpdated ? ' Budget split updated.' : ''}`,
       );
+      await loadBudgetSplit();
       await loadCategories();
       await loadRecurring();
+      await loadRecurringIncome();
     } catch (error) {
       console.error('Import template error:', error);
       setStatus(error.message, true);
@@ -418,6 +1381,8 @@
     const logoutButton = document.getElementById('logout-button');
     const categoryForm = document.getElementById('category-form');
     const recurringForm = document.getElementById('recurring-form');
+    const recurringIncomeForm = document.getElementById('recurring-income-form');
+    const tagForm = document.getElementById('tag-form');
 
     if (logoutButton) {
       logoutButton.addEventListener('click', () => {
@@ -442,6 +1407,13 @@
     }
 
     if (categoryForm) {
+      const parentSelect = document.getElementById('category-parent');
+      if (parentSelect) {
+        parentSelect.addEventListener('change', () => {
+          syncInheritOption(document.getElementById('category-type'), parentSelect.value !== '');
+        });
+      }
+
       categoryForm.addEventListener('submit', async (event) => {
         event.preventDefault();
         setStatus('');
@@ -449,6 +1421,8 @@
         const formData = new FormData(categoryForm);
         const name = (formData.get('name') || '').toString().trim();
         const budgetType = formData.get('budget_type');
+        const parentId = formData.get('parent_id');
+        const monthlyLimit = (formData.get('monthly_limit') || '').toString().trim();
 
         if (!name) {
           setStatus('Please provide a category name.', true);
@@ -460,6 +1434,12 @@
           return;
         }
 
+        const limitError = validateMonthlyLimit(monthlyLimit);
+        if (limitError) {
+          setStatus(limitError, true);
+          return;
+        }
+
         try {
           const headers = requireAuthHeaders({
             'Content-Type': 'application/json',
@@ -471,7 +1451,12 @@
           const response = await fetch('/api/categories', {
             method: 'POST',
             headers,
-            body: JSON.stringify({ name, budget_type: budgetType }),
+            body: JSON.stringify({
+              name,
+              budget_type: budgetType || null,
+              parent_id: parentId ? Number(parentId) : null,
+              monthly_limit: monthlyLimit === '' ? null : Number(monthlyLimit),
+            }),
           });
 
           if (response.status === 401) {
@@ -487,6 +1472,7 @@
           }
 
           categoryForm.reset();
+          syncInheritOption(document.getElementById('category-type'), false);
           setStatus(`"${payload.name}" added to ${payload.budget_type}.`);
           await loadCategories();
           await loadRecurring();
@@ -497,6 +1483,51 @@
       });
     }
 
+    if (tagForm) {
+      tagForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        setStatus('');
+
+        const name = (new FormData(tagForm).get('name') || '').toString().trim();
+        if (!name) {
+          setStatus('Please provide a tag name.', true);
+          return;
+        }
+
+        try {
+          const headers = requireAuthHeaders({
+            'Content-Type': 'application/json',
+          });
+          if (!headers) {
+            return;
+          }
+
+          const response = await fetch('/api/tags', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ name }),
+          });
+
+          if (response.status === 401) {
+            handleUnauthorized();
+            return;
+          }
+
+          const payload = await response.json().catch(() => ({}));
+          if (!response.ok) {
+            throw new Error(payload.message || 'Failed to create tag.');
+          }
+
+          tagForm.reset();
+          setStatus(`Tag "${payload.name}" created.`);
+          await loadTags();
+        } catch (error) {
+          console.error('Create tag error:', error);
+          setStatus(error.message, true);
+        }
+      });
+    }
+
     if (recurringForm) {
       recurringForm.addEventListener('submit', async (event) => {
         event.preventDefault();
@@ -533,6 +1564,13 @@
           return;
         }
 
+        const schedule = readCreateSchedule();
+        const scheduleError = validateSchedule(schedule);
+        if (scheduleError) {
+          setStatus(scheduleError, true);
+          return;
+        }
+
         try {
           const headers = requireAuthHeaders({
             'Content-Type': 'application/json',
@@ -548,6 +1586,7 @@
               description,
               default_amount: normalizedAmount,
               user_category_id: categoryId,
+              ...schedule,
             }),
           });
 
@@ -559,6 +1598,9 @@
           }
 
           recurringForm.reset();
+          if (recurringScheduleContainer) {
+            readCreateSchedule = buildScheduleFields(recurringScheduleContainer);
+          }
           setStatus(`Recurring template "${payload.description}" created.`);
           await loadRecurring();
         } catch (error) {
@@ -568,7 +1610,84 @@
       });
     }
 
+    if (recurringIncomeForm) {
+      recurringIncomeForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        setStatus('');
+
+        const formData = new FormData(recurringIncomeForm);
+        const source = (formData.get('source') || '').toString().trim();
+        const defaultAmount = Number(formData.get('default_amount'));
+
+        if (!source) {
+          setStatus('Please provide a source for the income template.', true);
+          return;
+        }
+
+        if (source.length > 255) {
+          setStatus('Source must be 255 characters or fewer.', true);
+          return;
+        }
+
+        if (!Number.isFinite(defaultAmount) || defaultAmount <= 0) {
+          setStatus('Default amount must be greater than zero.', true);
+          return;
+        }
+
+        const normalizedAmount = Math.round(defaultAmount * 100) / 100;
+        if (Math.abs(normalizedAmount - defaultAmount) > 1e-8) {
+          setStatus('Default amount must have at most two decimal places.', true);
+          return;
+        }
+
+        const schedule = readCreateIncomeSchedule();
+        const scheduleError = validateSchedule(schedule);
+        if (scheduleError) {
+          setStatus(scheduleError, true);
+          return;
+        }
+
+        try {
+          const headers = requireAuthHeaders({
+            'Content-Type': 'application/json',
+          });
+          if (!headers) {
+            return;
+          }
+
+          const response = await fetch('/api/recurring-income', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+              source,
+              default_amount: normalizedAmount,
+              ...schedule,
+            }),
+          });
+
+          const payload = await response.json().catch(() => ({}));
+
+          if (!response.ok) {
+            throw new Error(payload.message || 'Failed to create recurring income template.');
+          }
+
+          recurringIncomeForm.reset();
+          if (recurringIncomeScheduleContainer) {
+            readCreateIncomeSchedule = buildScheduleFields(recurringIncomeScheduleContainer);
+          }
+          setStatus(`Recurring income "${payload.source}" created.`);
+          await loadRecurringIncome();
+        } catch (error) {
+          console.error('Create recurring income template error:', error);
+          setStatus(error.message, true);
+        }
+      });
+    }
+
+    await loadBudgetSplit();
     await loadCategories();
+    await loadTags();
     await loadRecurring();
+    await loadRecurringIncome();
   });
 })();
@@ -0,0 +1,426 @@
+/* global document, window, localStorage */
+
+(() => {
+  'use strict';
+
+  const existingToken = localStorage.getItem('token');
+  if (!existingToken) {
+    window.location.href = '/login.html';
+    return;
+  }
+
+  const formatCurrency = (amount) =>
+    new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+    }).format(Number.isFinite(amount) ? amount : 0);
+
+  // Header names that are preselected for each mapping field.
+  const COLUMN_GUESSES = {
+    date: ['date', 'transaction date', 'posting date', 'booking date', 'posted'],
+    description: ['description', 'details', 'memo', 'payee', 'narrative', 'name'],
+    amount: ['amount', 'value', 'transaction amount'],
+    debit: ['debit', 'withdrawal', 'money out', 'paid out'],
+    credit: ['credit', 'deposit', 'money in', 'paid in'],
+  };
+
+  const STATUS_LABELS = {
+    ok: 'Will import',
+    duplicate: 'Already recorded',
+    invalid: 'Skipped',
+  };
+
+  const statusMessage = document.getElementById('status-message');
+  const fileInput = document.getElementById('import-file');
+  const delimiterSelect = document.getElementById('import-delimiter');
+  const hasHeaderInput = document.getElementById('import-has-header');
+  const mappingForm = document.getElementById('import-mapping-form');
+  const mappingSelects = Array.from(document.querySelectorAll('.mapping-select'));
+  const dateFormatSelect = document.getElementById('import-date-format');
+  const decimalSelect = document.getElementById('import-decimal');
+  const signSelect = document.getElementById('import-sign');
+  const categorySelect = document.getElementById('import-category');
+  const currencySelect = document.getElementById('import-currency');
+  const previewSection = document.getElementById('import-preview');
+  const previewRowsEl = document.getElementById('import-preview-rows');
+  const previewSummaryEl = document.getElementById('import-summary');
+  const previewTruncatedEl = document.getElementById('import-preview-truncated');
+  const commitButton = document.getElementById('import-commit-button');
+  const fileKindEl = document.getElementById('import-file-kind');
+
+  const IMPORT_ENDPOINTS = {
+    csv: '/api/transactions/import',
+    ofx: '/api/transactions/import/ofx',
+  };
+
+  let fileText = '';
+  let fileKind = 'csv';
+
+  // OFX/QFX statements need no column mapping; everything else is read as CSV.
+  const detectFileKind = (file, text) => {
+    if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text.slice(0, 4096))) {
+      return 'ofx';
+    }
+    return 'csv';
+  };
+
+  const setStatus = (message, isError = false) => {
+    if (!statusMessage) {
+      return;
+    }
+
+    if (!message) {
+      statusMessage.textContent = '';
+      statusMessage.className = 'hidden';
+      return;
+    }
+
+    statusMessage.textContent = message;
+    statusMessage.className = isError
+      ? 'rounded bg-red-100 p-3 text-sm text-red-700'
+      : 'rounded bg-emerald-100 p-3 text-sm text-emerald-700';
+  };
+
+  const handleUnauthorized = () => {
+    localStorage.removeItem('token');
+    window.location.href = '/login.html';
+  };
+
+  const requireAuthHeaders = (extraHeaders = {}) => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      handleUnauthorized();
+      return null;
+    }
+
+    return {
+      ...extraHeaders,
+      Authorization: `Bearer ${token}`,
+    };
+  };
+
+  const buildImportRequest = (extra = {}) => {
+    if (fileKind === 'ofx') {
+      return {
+        ofx: fileText,
+        user_category_id: categorySelect.value || null,
+        currency: currencySelect.value || undefined,
+        ...extra,
+      };
+    }
+
+    const mapping = {};
+    mappingSelects.forEach((select) => {
+      if (select.value !== '') {
+        mapping[select.dataset.field] = Number(select.value);
+      }
+    });
+
+    return {
+      csv: fileText,
+      delimiter: delimiterSelect.value,
+      has_header: hasHeaderInput.checked,
+      mapping,
+      date_format: dateFormatSelect.value,
+      decimal_separator: decimalSelect.value,
+      sign_convention: signSelect.value,
+      user_category_id: categorySelect.value || null,
+      currency: currencySelect.value || undefined,
+      ...extra,
+    };
+  };
+
+  const postImport = async (body) => {
+    const headers = requireAuthHeaders({
+      'Content-Type': 'application/json',
+    });
+    if (!headers) {
+      return null;
+    }
+
+    const response = await fetch(IMPORT_ENDPOINTS[fileKind], {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+    });
+
+    if (response.status === 401) {
+      handleUnauthorized();
+      return null;
+    }
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(payload.message || 'Failed to read the statement file.');
+    }
+
+    return payload;
+  };
+
+  const renderMappingOptions = (columns) => {
+    mappingSelects.forEach((select) => {
+      const guesses = COLUMN_GUESSES[select.dataset.field] || [];
+      select.innerHTML = '';
+
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = 'Not in this file';
+      select.appendChild(none);
+
+      columns.forEach((name, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = name || `Column ${index + 1}`;
+        select.appendChild(option);
+      });
+
+      const guessIndex = columns.findIndex((name) => guesses.includes(name.trim().toLowerCase()));
+      select.value = guessIndex === -1 ? '' : String(guessIndex);
+    });
+
+    mappingForm.classList.remove('hidden');
+  };
+
+  const renderPreview = (payload) => {
+    previewRowsEl.innerHTML = '';
+
+    payload.rows.forEach((row) => {
+      const tr = document.createElement('tr');
+      if (row.status !== 'ok') {
+        tr.className = 'text-slate-400';
+      }
+
+      const cells = [
+        String(row.row),
+        row.date ? row.date.slice(0, 10) : '',
+        row.type || '',
+        row.amount !== undefined ? formatCurrency(row.amount) : '',
+        row.description || '',
+        row.error ? `${STATUS_LABELS[row.status]}: ${row.error}` : STATUS_LABELS[row.status],
+      ];
+
+      cells.forEach((value) => {
+        const td = document.createElement('td');
+        td.className = 'py-2 pr-4';
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+
+      previewRowsEl.appendChild(tr);
+    });
+
+    const { summary } = payload;
+    previewSummaryEl.textContent = `${summary.income} income and ${summary.expenses} expense row(s) will be imported. `
+      + `${summary.duplicates} already recorded, ${summary.invalid} unreadable.`;
+
+    const hidden = payload.total_rows - payload.rows.length;
+    previewTruncatedEl.textContent = hidden > 0 ? `Showing the first ${payload.rows.length} of ${payload.total_rows} rows.` : '';
+    previewTruncatedEl.classList.toggle('hidden', hidden <= 0);
+
+    commitButton.disabled = summary.income + summary.expenses === 0;
+    commitButton.classList.toggle('opacity-50', commitButton.disabled);
+    previewSection.classList.remove('hidden');
+  };
+
+  const showPreview = async () => {
+    try {
+      const payload = await postImport(buildImportRequest());
+      if (payload) {
+        renderPreview(payload);
+      }
+    } catch (error) {
+      console.error('Preview import error:', error);
+      setStatus(error.message, true);
+      previewSection.classList.add('hidden');
+    }
+  };
+
+  const inspectFile = async () => {
+    setStatus('');
+    previewSection.classList.add('hidden');
+    mappingForm.classList.add('hidden');
+
+    if (!fileText) {
+      return;
+    }
+
+    if (fileKind === 'ofx') {
+      await showPreview();
+      return;
+    }
+
+    try {
+      const payload = await postImport({
+        csv: fileText,
+        delimiter: delimiterSelect.value,
+        has_header: hasHeaderInput.checked,
+      });
+      if (payload) {
+        renderMappingOptions(payload.columns);
+      }
+    } catch (error) {
+      console.error('Inspect CSV error:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  const loadCategories = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/categories', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load categories.');
+      }
+
+      const categories = await response.json();
+      categories.forEach((category) => {
+        [category, ...(category.children || [])].forEach((item) => {
+          const option = document.createElement('option');
+          option.value = String(item.id);
+          option.textContent = item === category
+            ? `${item.name} (${item.budget_type})`
+            : `${category.name} > ${item.name} (${item.budget_type})`;
+          categorySelect.appendChild(option);
+        });
+      });
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message, true);
+    }
+  };
+
+  // Offers every currency that has an exchange rate into the base currency.
+  const loadCurrencies = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/exchange-rates', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load exchange rates.');
+      }
+
+      const rates = await response.json();
+      [...new Set(rates.map((rate) => rate.currency))].forEach((code) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = code;
+        currencySelect.appendChild(option);
+      });
+      if (rates.length) {
+        currencySelect.options[0].textContent = `${rates[0].base_currency} (base currency)`;
+      }
+      document.getElementById('import-currency-field').classList.toggle('hidden', !rates.length);
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message, true);
+    }
+  };
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    const logoutButton = document.getElementById('logout-button');
+
+    if (logoutButton) {
+      logoutButton.addEventListener('click', () => {
+        localStorage.removeItem('token');
+        window.location.href = '/login.html';
+      });
+    }
+
+    fileInput.addEventListener('change', async (event) => {
+      const [file] = event.target.files || [];
+      if (!file) {
+        fileText = '';
+        return;
+      }
+
+      if (file.size > 1024 * 1024) {
+        setStatus('Statement files must be smaller than 1 MB.', true);
+        fileInput.value = '';
+        fileText = '';
+        return;
+      }
+
+      fileText = await file.text();
+      fileKind = detectFileKind(file, fileText);
+      fileKindEl.textContent = fileKind === 'ofx'
+        ? 'OFX/QFX statement detected. Transactions are matched by their bank ID, so re-importing is safe.'
+        : '';
+      fileKindEl.classList.toggle('hidden', fileKind !== 'ofx');
+
+      if (fileKind === 'csv' && !delimiterSelect.dataset.touched) {
+        const firstLine = fileText.split(/\r?\n/, 1)[0] || '';
+        const counts = [',', ';', '\t', '|'].map((delimiter) => [delimiter, firstLine.split(delimiter).length]);
+        counts.sort((a, b) => b[1] - a[1]);
+        delimiterSelect.value = counts[0][0];
+      }
+      await inspectFile();
+    });
+
+    delimiterSelect.addEventListener('change', () => {
+      delimiterSelect.dataset.touched = 'true';
+      if (fileKind === 'csv') {
+        inspectFile();
+      }
+    });
+    hasHeaderInput.addEventListener('change', () => {
+      if (fileKind === 'csv') {
+        inspectFile();
+      }
+    });
+
+    mappingForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      setStatus('');
+      await showPreview();
+    });
+
+    commitButton.addEventListener('click', async () => {
+      setStatus('');
+      commitButton.disabled = true;
+
+      try {
+        const payload = await postImport(buildImportRequest({ commit: true }));
+        if (!payload) {
+          return;
+        }
+
+        setStatus(
+          `Import complete. Income added: ${payload.inserted.income}, Expenses added: ${payload.inserted.expenses} `
+          + `(skipped ${payload.skipped.duplicates} already recorded, ${payload.skipped.invalid} unreadable).`,
+        );
+        previewSection.classList.add('hidden');
+        mappingForm.classList.add('hidden');
+        fileInput.value = '';
+        fileText = '';
+        fileKindEl.classList.add('hidden');
+      } catch (error) {
+        console.error('Commit import error:', error);
+        setStatus(error.message, true);
+      } finally {
+        commitButton.disabled = false;
+      }
+    });
+
+    await loadCategories();
+    await loadCurrencies();
+  });
+})();
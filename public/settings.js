@@ -0,0 +1,506 @@
+/* global document, window, localStorage */
+
+(() => {
+  'use strict';
+
+  const existingToken = localStorage.getItem('token');
+  if (!existingToken) {
+    window.location.href = '/login.html';
+    return;
+  }
+
+  const DEFAULT_SPLIT = {
+    necessities_pct: 50,
+    leisure_pct: 30,
+    savings_pct: 20,
+  };
+
+  const statusMessage = document.getElementById('status-message');
+  const splitForm = document.getElementById('budget-split-form');
+  const splitTotalEl = document.getElementById('split-total');
+  const splitResetButton = document.getElementById('split-reset-button');
+  const timezoneForm = document.getElementById('timezone-form');
+  const timezoneSelect = document.getElementById('timezone-select');
+  const timezoneBrowserHint = document.getElementById('timezone-browser-hint');
+  const currencyForm = document.getElementById('currency-form');
+  const currencySelect = document.getElementById('currency-select');
+  const rateForm = document.getElementById('rate-form');
+  const rateList = document.getElementById('rate-list');
+  const rateEmptyState = document.getElementById('rate-empty-state');
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  const setStatus = (message, isError = false) => {
+    if (!statusMessage) {
+      return;
+    }
+
+    if (!message) {
+      statusMessage.textContent = '';
+      statusMessage.className = 'hidden';
+      return;
+    }
+
+    statusMessage.textContent = message;
+    statusMessage.className = isError
+      ? 'rounded bg-red-100 p-3 text-sm text-red-700'
+      : 'rounded bg-emerald-100 p-3 text-sm text-emerald-700';
+  };
+
+  const handleUnauthorized = () => {
+    localStorage.removeItem('token');
+    window.location.href = '/login.html';
+  };
+
+  const requireAuthHeaders = (extraHeaders = {}) => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      handleUnauthorized();
+      return null;
+    }
+
+    return {
+      ...extraHeaders,
+      Authorization: `Bearer ${token}`,
+    };
+  };
+
+  const readSplitForm = () => {
+    const formData = new FormData(splitForm);
+    return {
+      necessities_pct: Number(formData.get('necessities_pct')),
+      leisure_pct: Number(formData.get('leisure_pct')),
+      savings_pct: Number(formData.get('savings_pct')),
+    };
+  };
+
+  const updateSplitTotal = () => {
+    if (!splitForm || !splitTotalEl) {
+      return;
+    }
+
+    const split = readSplitForm();
+    const total = Object.values(split).reduce((sum, value) => sum + (Number.isFinite(value) ? value : 0), 0);
+    splitTotalEl.textContent = `Total: ${total}%`;
+    splitTotalEl.className = total === 100 ? 'text-sm text-slate-600' : 'text-sm font-semibold text-red-600';
+  };
+
+  const renderSplit = (split) => {
+    if (!splitForm) {
+      return;
+    }
+
+    Object.entries(split).forEach(([key, value]) => {
+      const input = splitForm.elements.namedItem(key);
+      if (input) {
+        input.value = String(value);
+      }
+    });
+    updateSplitTotal();
+  };
+
+  const loadSplit = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/budget/profile', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load budget split.');
+      }
+
+      renderSplit(await response.json());
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message, true);
+      renderSplit(DEFAULT_SPLIT);
+    }
+  };
+
+  const saveSplit = async (split) => {
+    try {
+      const headers = requireAuthHeaders({
+        'Content-Type': 'application/json',
+      });
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/budget/profile', {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(split),
+      });
+
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(payload.message || 'Failed to save budget split.');
+      }
+
+      renderSplit(payload);
+      setStatus(
+        `Budget split saved: ${payload.necessities_pct}/${payload.leisure_pct}/${payload.savings_pct}.`,
+      );
+    } catch (error) {
+      console.error('Save budget split error:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  const renderTimeZoneOptions = (selectedTimeZone) => {
+    if (!timezoneSelect) {
+      return;
+    }
+
+    const zones = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : [];
+    const options = new Set(['UTC', ...zones, browserTimeZone, selectedTimeZone].filter(Boolean));
+
+    timezoneSelect.innerHTML = '';
+    Array.from(options)
+      .sort((a, b) => (a === 'UTC' ? -1 : b === 'UTC' ? 1 : a.localeCompare(b)))
+      .forEach((zone) => {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        timezoneSelect.appendChild(option);
+      });
+
+    timezoneSelect.value = selectedTimeZone || 'UTC';
+
+    if (timezoneBrowserHint) {
+      const differs = selectedTimeZone && selectedTimeZone !== browserTimeZone;
+      timezoneBrowserHint.textContent = differs
+        ? `Your browser reports ${browserTimeZone.replace(/_/g, ' ')}.`
+        : '';
+      timezoneBrowserHint.classList.toggle('hidden', !differs);
+    }
+  };
+
+  const loadProfile = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/users/me', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load your profile.');
+      }
+
+      const profile = await response.json();
+      renderTimeZoneOptions(profile.timezone);
+      renderCurrencyOptions(profile.base_currency);
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message, true);
+      renderTimeZoneOptions('UTC');
+      renderCurrencyOptions('USD');
+    }
+  };
+
+  const renderCurrencyOptions = (selectedCurrency) => {
+    document.querySelectorAll('.base-currency-code').forEach((element) => {
+      element.textContent = selectedCurrency;
+    });
+    if (rateForm) {
+      rateForm.elements.base_currency.placeholder = `Into ${selectedCurrency}`;
+    }
+
+    if (!currencySelect) {
+      return;
+    }
+
+    const codes = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('currency')
+      : [];
+    const displayNames = typeof Intl.DisplayNames === 'function'
+      ? new Intl.DisplayNames(undefined, { type: 'currency' })
+      : null;
+
+    currencySelect.innerHTML = '';
+    Array.from(new Set([...codes, selectedCurrency]))
+      .sort()
+      .forEach((code) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = displayNames ? `${code} – ${displayNames.of(code)}` : code;
+        currencySelect.appendChild(option);
+      });
+
+    currencySelect.value = selectedCurrency;
+  };
+
+  // Sends a JSON request and returns the parsed payload, or null after a 401.
+  const sendJson = async (url, method, body, fallbackMessage) => {
+    const headers = requireAuthHeaders({
+      'Content-Type': 'application/json',
+    });
+    if (!headers) {
+      return null;
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    if (response.status === 401) {
+      handleUnauthorized();
+      return null;
+    }
+
+    const payload = response.status === 204 ? {} : await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.message || fallbackMessage);
+    }
+    return payload;
+  };
+
+  const saveBaseCurrency = async (baseCurrency) => {
+    try {
+      const payload = await sendJson('/api/users/me', 'PATCH', { base_currency: baseCurrency }, 'Failed to save base currency.');
+      if (!payload) {
+        return;
+      }
+
+      renderCurrencyOptions(payload.base_currency);
+      setStatus(`Base currency set to ${payload.base_currency}.`);
+      await loadRates();
+    } catch (error) {
+      console.error('Save base currency error:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  const renderRates = (rates) => {
+    if (!rateList) {
+      return;
+    }
+
+    rateList.innerHTML = '';
+    if (rateEmptyState) {
+      rateEmptyState.classList.toggle('hidden', rates.length > 0);
+    }
+
+    rates.forEach((rate) => {
+      const item = document.createElement('li');
+      item.className = 'flex items-center justify-between gap-2 py-2';
+
+      const label = document.createElement('span');
+      label.textContent = `1 ${rate.currency} = ${rate.rate} ${rate.base_currency}`;
+
+      const details = document.createElement('span');
+      details.className = 'flex items-center gap-3 text-xs text-slate-500';
+      details.textContent = `from ${rate.effective_date}`;
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'rounded border border-red-200 px-2 py-1 text-xs font-semibold text-red-600 hover:bg-red-50';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => deleteRate(rate));
+      details.appendChild(deleteButton);
+
+      item.appendChild(label);
+      item.appendChild(details);
+      rateList.appendChild(item);
+    });
+  };
+
+  const loadRates = async () => {
+    try {
+      const headers = requireAuthHeaders();
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/exchange-rates', { headers });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('Unable to load exchange rates.');
+      }
+
+      const rates = await response.json();
+      renderRates(Array.isArray(rates) ? rates : []);
+    } catch (error) {
+      console.error(error);
+      setStatus(error.message, true);
+      renderRates([]);
+    }
+  };
+
+  const deleteRate = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.currency} rate from ${rate.effective_date}?`)) {
+      return;
+    }
+
+    try {
+      const payload = await sendJson(`/api/exchange-rates/${rate.id}`, 'DELETE', undefined, 'Failed to delete exchange rate.');
+      if (payload) {
+        setStatus('Exchange rate deleted.');
+        await loadRates();
+      }
+    } catch (error) {
+      console.error('Delete exchange rate error:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  const saveTimeZone = async (timezone) => {
+    try {
+      const headers = requireAuthHeaders({
+        'Content-Type': 'application/json',
+      });
+      if (!headers) {
+        return;
+      }
+
+      const response = await fetch('/api/users/me', {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify({ timezone }),
+      });
+
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(payload.message || 'Failed to save time zone.');
+      }
+
+      renderTimeZoneOptions(payload.timezone);
+      setStatus(`Time zone set to ${payload.timezone.replace(/_/g, ' ')}.`);
+    } catch (error) {
+      console.error('Save time zone error:', error);
+      setStatus(error.message, true);
+    }
+  };
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    const logoutButton = document.getElementById('logout-button');
+
+    if (logoutButton) {
+      logoutButton.addEventListener('click', () => {
+        localStorage.removeItem('token');
+        window.location.href = '/login.html';
+      });
+    }
+
+    if (splitForm) {
+      splitForm.addEventListener('input', () => updateSplitTotal());
+
+      splitForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        setStatus('');
+
+        const split = readSplitForm();
+        const values = Object.values(split);
+
+        if (values.some((value) => !Number.isInteger(value) || value < 0 || value > 100)) {
+          setStatus('Each percentage must be a whole number between 0 and 100.', true);
+          return;
+        }
+
+        if (values.reduce((sum, value) => sum + value, 0) !== 100) {
+          setStatus('Percentages must add up to 100.', true);
+          return;
+        }
+
+        await saveSplit(split);
+      });
+    }
+
+    if (splitResetButton) {
+      splitResetButton.addEventListener('click', () => {
+        setStatus('');
+        renderSplit(DEFAULT_SPLIT);
+      });
+    }
+
+    if (timezoneForm) {
+      timezoneForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        setStatus('');
+
+        const timezone = timezoneSelect ? timezoneSelect.value : '';
+        if (!timezone) {
+          setStatus('Please choose a time zone.', true);
+          return;
+        }
+
+        await saveTimeZone(timezone);
+      });
+    }
+
+    if (currencyForm) {
+      currencyForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        setStatus('');
+        await saveBaseCurrency(currencySelect ? currencySelect.value : '');
+      });
+    }
+
+    if (rateForm) {
+      rateForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        setStatus('');
+
+        const formData = new FormData(rateForm);
+        const rate = Number(formData.get('rate'));
+        if (!Number.isFinite(rate) || rate <= 0) {
+          setStatus('Please enter a rate greater than zero.', true);
+          return;
+        }
+
+        try {
+          const payload = await sendJson('/api/exchange-rates', 'POST', {
+            currency: (formData.get('currency') || '').toString().trim().toUpperCase(),
+            base_currency: (formData.get('base_currency') || '').toString().trim().toUpperCase() || undefined,
+            rate,
+            effective_date: (formData.get('effective_date') || '').toString() || undefined,
+          }, 'Failed to add exchange rate.');
+          if (payload) {
+            rateForm.reset();
+            setStatus(`Added a ${payload.currency} to ${payload.base_currency} rate from ${payload.effective_date}.`);
+            await loadRates();
+          }
+        } catch (error) {
+          console.error('Add exchange rate error:', error);
+          setStatus(error.message, true);
+        }
+      });
+    }
+
+    await loadSplit();
+    await loadProfile();
+    await loadRates();
+  });
+})();
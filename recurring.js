@@ -0,0 +1,327 @@
+const { run, all, withTransaction } = require('./database');
+const { badRequest } = require('./errors');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getZonedDayStart,
+  parseDateKey,
+} = require('./timezone');
+
+const FREQUENCIES = new Set(['weekly', 'monthly', 'yearly']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on occurrences posted for a single template in one run, so a
+// long-dormant weekly template cannot flood the database in one go.
+const MAX_OCCURRENCES_PER_RUN = 400;
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateKey, days) {
+  return toDateKey(new Date(parseDateKey(dateKey).getTime() + days * DAY_MS));
+}
+
+function getLocalDateKey(timestamp, timeZone) {
+  const { year, monthIndex, day } = getZonedParts(timestamp, timeZone);
+  return toDateKey(new Date(Date.UTC(year, monthIndex, day)));
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function parseOptionalInteger(value, min, max, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw badRequest(`${label} must be a whole number between ${min} and ${max}.`);
+  }
+
+  return parsed;
+}
+
+// Validates a recurrence rule from a request body. Returns null when no
+// frequency is set (the template is then only logged by hand).
+function normalizeRecurrenceRule(payload = {}, { today } = {}) {
+  const frequency = typeof payload.frequency === 'string' ? payload.frequency.trim().toLowerCase() : '';
+
+  if (!frequency || frequency === 'none') {
+    return null;
+  }
+
+  if (!FREQUENCIES.has(frequency)) {
+    throw badRequest('Frequency must be weekly, monthly or yearly.');
+  }
+
+  const dayOfMonth = parseOptionalInteger(payload.day_of_month, 1, 31, 'day_of_month');
+  const dayOfWeek = parseOptionalInteger(payload.day_of_week, 0, 6, 'day_of_week');
+  const monthOfYear = parseOptionalInteger(payload.month_of_year, 1, 12, 'month_of_year');
+
+  let startDate = today;
+  if (payload.start_date !== undefined && payload.start_date !== null && payload.start_date !== '') {
+    if (!parseDateKey(payload.start_date)) {
+      throw badRequest('start_date must use the YYYY-MM-DD format.');
+    }
+    startDate = payload.start_date;
+  }
+
+  if (frequency === 'weekly') {
+    if (dayOfWeek === null) {
+      throw badRequest('Weekly schedules require day_of_week (0 = Sunday).');
+    }
+    return {
+      frequency,
+      day_of_month: null,
+      day_of_week: dayOfWeek,
+      month_of_year: null,
+      start_date: startDate,
+    };
+  }
+
+  if (dayOfMonth === null) {
+    throw badRequest('Monthly and yearly schedules require day_of_month.');
+  }
+
+  if (frequency === 'yearly' && monthOfYear === null) {
+    throw badRequest('Yearly schedules require month_of_year.');
+  }
+
+  return {
+    frequency,
+    day_of_month: dayOfMonth,
+    day_of_week: null,
+    month_of_year: frequency === 'yearly' ? monthOfYear : null,
+    start_date: startDate,
+  };
+}
+
+// Lists the occurrence dates (YYYY-MM-DD) of a rule between two dates,
+// inclusive. Days past the end of a short month fall on its last day.
+function listOccurrences(rule, fromKey, toKey, limit = MAX_OCCURRENCES_PER_RUN) {
+  const from = parseDateKey(fromKey);
+  const to = parseDateKey(toKey);
+  const occurrences = [];
+
+  if (!rule?.frequency || !from || !to || from > to) {
+    return occurrences;
+  }
+
+  if (rule.frequency === 'weekly') {
+    const offset = (rule.day_of_week - from.getUTCDay() + 7) % 7;
+    for (
+      let current = new Date(from.getTime() + offset * DAY_MS);
+      current <= to && occurrences.length < limit;
+      current = new Date(current.getTime() + 7 * DAY_MS)
+    ) {
+      occurrences.push(toDateKey(current));
+    }
+    return occurrences;
+  }
+
+  const step = rule.frequency === 'yearly' ? 12 : 1;
+  let year = from.getUTCFullYear();
+  let monthIndex = rule.frequency === 'yearly' ? rule.month_of_year - 1 : from.getUTCMonth();
+
+  while (occurrences.length < limit) {
+    const day = Math.min(rule.day_of_month, daysInMonth(year, monthIndex));
+    const candidate = new Date(Date.UTC(year, monthIndex, day));
+
+    if (candidate > to) {
+      break;
+    }
+
+    if (candidate >= from) {
+      occurrences.push(toDateKey(candidate));
+    }
+
+    monthIndex += step;
+    year += Math.floor(monthIndex / 12);
+    monthIndex %= 12;
+  }
+
+  return occurrences;
+}
+
+function getPendingStart(template) {
+  const afterLast = template.last_occurrence ? addDays(template.last_occurrence, 1) : null;
+  if (!afterLast || afterLast < template.start_date) {
+    return template.start_date;
+  }
+  return afterLast;
+}
+
+function getNextOccurrence(template) {
+  if (!template?.frequency || !template.start_date) {
+    return null;
+  }
+
+  const fromKey = getPendingStart(template);
+  const [next] = listOccurrences(template, fromKey, addDays(fromKey, 366 * 2), 1);
+  return next || null;
+}
+
+// Per-kind SQL for posting scheduled templates. Each posting table has a
+// unique (template, occurrence_date) pair so an occurrence posts at most once,
+// even across restarts or overlapping runs.
+const TEMPLATE_KINDS = {
+  expense: {
+    selectScheduled: `
+      SELECT r.id,
+             r.user_id,
+             r.user_category_id,
+             r.description,
+             r.default_amount,
+             r.currency,
+             r.frequency,
+             r.day_of_month,
+             r.day_of_week,
+             r.month_of_year,
+             r.start_date,
+             u.timezone,
+             (SELECT MAX(p.occurrence_date) FROM RecurringPosting p WHERE p.recurring_id = r.id) AS last_occurrence
+      FROM RecurringExpenditure r
+      INNER JOIN User u ON u.id = r.user_id
+      WHERE r.frequency IS NOT NULL AND r.start_date IS NOT NULL
+    `,
+    claim: 'INSERT OR IGNORE INTO RecurringPosting (recurring_id, occurrence_date) VALUES (?, ?)',
+    insertRecord: (template, date) => run(
+      `
+        INSERT INTO Expenditure (user_id, user_category_id, amount, currency, description, date)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+      [
+        template.user_id,
+        template.user_category_id,
+        template.default_amount,
+        template.currency,
+        template.description,
+        date,
+      ],
+    ),
+    link: 'UPDATE RecurringPosting SET expenditure_id = ? WHERE recurring_id = ? AND occurrence_date = ?',
+  },
+  income: {
+    selectScheduled: `
+      SELECT r.id,
+             r.user_id,
+             r.source,
+             r.default_amount,
+             r.currency,
+             r.frequency,
+             r.day_of_month,
+             r.day_of_week,
+             r.month_of_year,
+             r.start_date,
+             u.timezone,
+             (SELECT MAX(p.occurrence_date) FROM RecurringIncomePosting p WHERE p.recurring_income_id = r.id) AS last_occurrence
+      FROM RecurringIncome r
+      INNER JOIN User u ON u.id = r.user_id
+      WHERE r.frequency IS NOT NULL AND r.start_date IS NOT NULL
+    `,
+    claim: 'INSERT OR IGNORE INTO RecurringIncomePosting (recurring_income_id, occurrence_date) VALUES (?, ?)',
+    insertRecord: (template, date) => run(
+      'INSERT INTO Income (user_id, amount, currency, source, date) VALUES (?, ?, ?, ?, ?)',
+      [template.user_id, template.default_amount, template.currency, template.source, date],
+    ),
+    link: 'UPDATE RecurringIncomePosting SET income_id = ? WHERE recurring_income_id = ? AND occurrence_date = ?',
+  },
+};
+
+async function postTemplateOccurrences(kind, template, now) {
+  const timeZone = isValidTimeZone(template.timezone) ? template.timezone : DEFAULT_TIME_ZONE;
+  const todayKey = getLocalDateKey(now, timeZone);
+  const occurrences = listOccurrences(template, getPendingStart(template), todayKey);
+
+  if (!occurrences.length) {
+    return 0;
+  }
+
+  let posted = 0;
+
+  await withTransaction(async () => {
+    for (const occurrence of occurrences) {
+      const claim = await run(kind.claim, [template.id, occurrence]);
+
+      if (!claim.changes) {
+        continue;
+      }
+
+      const date = parseDateKey(occurrence);
+      const postedAt = getZonedDayStart(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), timeZone);
+      const record = await kind.insertRecord(template, postedAt.toISOString());
+
+      await run(kind.link, [record.lastID, template.id, occurrence]);
+      posted += 1;
+    }
+  });
+
+  return posted;
+}
+
+// Creates the Expenditure and Income rows for every scheduled occurrence that
+// is due and has not been posted yet, including ones missed while the server
+// was down.
+async function postDueRecurringEntries({ now = Date.now() } = {}) {
+  const posted = { expense: 0, income: 0 };
+
+  for (const [kindName, kind] of Object.entries(TEMPLATE_KINDS)) {
+    const templates = await all(kind.selectScheduled);
+
+    for (const template of templates) {
+      try {
+        posted[kindName] += await postTemplateOccurrences(kind, template, now);
+      } catch (error) {
+        console.error(`Failed to post recurring ${kindName} template ${template.id}:`, error);
+      }
+    }
+  }
+
+  return posted;
+}
+
+function startRecurringScheduler({ intervalMinutes = 60 } = {}) {
+  if (!intervalMinutes) {
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const posted = await postDueRecurringEntries();
+      if (posted.expense > 0) {
+        console.log(`Posted ${posted.expense} recurring expense(s).`);
+      }
+      if (posted.income > 0) {
+        console.log(`Posted ${posted.income} recurring income entr${posted.income === 1 ? 'y' : 'ies'}.`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  FREQUENCIES,
+  getLocalDateKey,
+  normalizeRecurrenceRule,
+  listOccurrences,
+  getNextOccurrence,
+  postDueRecurringEntries,
+  startRecurringScheduler,
+};
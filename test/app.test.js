@@ -0,0 +1,338 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createApp } = require('../index');
+const { get, withDatabase } = require('../database');
+const { postDueRecurringEntries } = require('../recurring');
+
+// Serves `app` on a free port and returns a client that sends JSON requests
+// with the token of the last registered user.
+async function startServer(app) {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  let token = null;
+
+  async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    request,
+    async register(username) {
+      const response = await request('POST', '/api/users/register', { username, password: 'password1' });
+      token = response.body.token;
+      return response;
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+test('apps created with their own in-memory database are isolated', async () => {
+  const [firstApp, secondApp] = await Promise.all([
+    createApp({ databasePath: ':memory:' }),
+    createApp({ databasePath: ':memory:' }),
+  ]);
+  const first = await startServer(firstApp);
+  const second = await startServer(secondApp);
+
+  try {
+    assert.equal((await first.register('sam')).status, 201);
+    assert.equal((await second.register('sam')).status, 201);
+
+    const created = await first.request('POST', '/api/income', { amount: 42, source: 'Salary' });
+    assert.equal(created.status, 201);
+
+    const firstList = await first.request('GET', '/api/transactions');
+    const secondList = await second.request('GET', '/api/transactions');
+    assert.deepEqual(firstList.body.items.map((item) => item.amount), [42]);
+    assert.deepEqual(secondList.body.items, []);
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+    firstApp.locals.db.close();
+    secondApp.locals.db.close();
+  }
+});
+
+test('DATABASE_PATH creates missing directories and uses WAL', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'budgetwise-'));
+  const databasePath = path.join(directory, 'nested', 'data', 'budget.db');
+  process.env.DATABASE_PATH = databasePath;
+
+  try {
+    const app = await createApp();
+    const { journal_mode: journalMode } = await withDatabase(app.locals.db, () => get('PRAGMA journal_mode'));
+    app.locals.db.close();
+
+    assert.ok(fs.existsSync(databasePath));
+    assert.equal(journalMode, 'wal');
+  } finally {
+    delete process.env.DATABASE_PATH;
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('overlapping split expenses and statement imports each commit on their own', async () => {
+  const app = await createApp({ databasePath: ':memory:' });
+  const client = await startServer(app);
+
+  try {
+    await client.register('sam');
+    const food = await client.request('POST', '/api/categories', { name: 'Food', budget_type: 'Necessities' });
+    const fun = await client.request('POST', '/api/categories', { name: 'Fun', budget_type: 'Leisure' });
+    const splits = [
+      { user_category_id: food.body.id, amount: 6 },
+      { user_category_id: fun.body.id, amount: 4 },
+    ];
+
+    const requests = [];
+    for (let index = 0; index < 10; index += 1) {
+      requests.push(client.request('POST', '/api/expense', { amount: 10, description: `Split ${index}`, splits }));
+      requests.push(client.request('POST', '/api/transactions/import', {
+        csv: `date,amount,description\n2026-01-0${(index % 9) + 1},-${index + 1}.50,Import ${index}\n`,
+        mapping: { date: 'date', amount: 'amount', description: 'description' },
+        commit: true,
+      }));
+    }
+    const responses = await Promise.all(requests);
+
+    responses.forEach((response) => assert.ok([200, 201].includes(response.status), JSON.stringify(response.body)));
+    const list = await client.request('GET', '/api/transactions?limit=50');
+    assert.equal(list.body.items.length, 20);
+  } finally {
+    await client.close();
+    app.locals.db.close();
+  }
+});
+
+test('switching the base currency after adding rates into the new one', async () => {
+  const app = await createApp({ databasePath: ':memory:' });
+  const client = await startServer(app);
+
+  try {
+    await client.register('sam');
+    await client.request('POST', '/api/exchange-rates', { currency: 'EUR', rate: 1.1, effective_date: '2026-01-01' });
+    await client.request('POST', '/api/income', { amount: 10, currency: 'EUR', source: 'Refund' });
+    await client.request('POST', '/api/expense', { amount: 20, description: 'Lunch' });
+
+    const blocked = await client.request('PATCH', '/api/users/me', { base_currency: 'GBP' });
+    assert.equal(blocked.status, 409);
+    assert.deepEqual(blocked.body.missing_currencies, ['EUR', 'USD']);
+
+    for (const [currency, rate] of [['EUR', 0.85], ['USD', 0.75]]) {
+      const created = await client.request('POST', '/api/exchange-rates', {
+        currency,
+        base_currency: 'GBP',
+        rate,
+        effective_date: '2026-01-01',
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.base_currency, 'GBP');
+    }
+
+    const switched = await client.request('PATCH', '/api/users/me', { base_currency: 'GBP' });
+    assert.equal(switched.status, 200);
+    assert.equal(switched.body.base_currency, 'GBP');
+
+    const list = await client.request('GET', '/api/transactions');
+    const baseAmounts = Object.fromEntries(list.body.items.map((item) => [item.currency, item.base_amount]));
+    assert.deepEqual(baseAmounts, { EUR: 8.5, USD: 15 });
+  } finally {
+    await client.close();
+    app.locals.db.close();
+  }
+});
+
+test('parent rows of the detailed spending report compute their limit from the group total', async () => {
+  const app = await createApp({ databasePath: ':memory:' });
+  const client = await startServer(app);
+
+  try {
+    await client.register('sam');
+    const parent = await client.request('POST', '/api/categories', {
+      name: 'Home',
+      budget_type: 'Necessities',
+      monthly_limit: 100,
+    });
+    const child = await client.request('POST', '/api/categories', { name: 'Repairs', parent_id: parent.body.id });
+    await client.request('POST', '/api/expense', { amount: 6.5, description: 'Bulbs', user_category_id: parent.body.id });
+    await client.request('POST', '/api/expense', { amount: 2, description: 'Glue', user_category_id: child.body.id });
+
+    const month = new Date().toISOString().slice(0, 7);
+    const report = await client.request('GET', `/api/reports/spending-by-category?month=${month}`);
+    const row = report.body.find((item) => item.id === parent.body.id);
+
+    assert.equal(row.spent, 6.5);
+    assert.equal(row.group_spent, 8.5);
+    assert.equal(row.remaining, row.limit - row.group_spent);
+    assert.equal(row.percent_used, (row.group_spent / row.limit) * 100);
+    assert.equal(report.body.find((item) => item.id === child.body.id).group_spent, null);
+  } finally {
+    await client.close();
+    app.locals.db.close();
+  }
+});
+
+test('OFX amounts with more than two decimals are reported as invalid', async () => {
+  const app = await createApp({ databasePath: ':memory:' });
+  const client = await startServer(app);
+  const transaction = (fitid, amount) => `<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260105<TRNAMT>${amount}`
+    + `<FITID>${fitid}<NAME>Shop</STMTTRN>`;
+
+  try {
+    await client.register('sam');
+    const preview = await client.request('POST', '/api/transactions/import/ofx', {
+      ofx: `<OFX><STMTRS><BANKACCTFROM><BANKID>1<ACCTID>2</BANKACCTFROM><BANKTRANLIST>${
+        transaction('a', '-12.345')}${transaction('b', '-12.34')}</BANKTRANLIST></STMTRS></OFX>`,
+    });
+
+    assert.equal(preview.status, 200);
+    assert.deepEqual(
+      preview.body.rows.map((row) => [row.fitid, row.status, row.amount ?? row.error]),
+      [['a', 'invalid', 'Amount must have at most two decimal places.'], ['b', 'ok', 12.34]],
+    );
+  } finally {
+    await client.close();
+    app.locals.db.close();
+  }
+});
+
+test('statement rows older than the manual-entry window are imported', async () => {
+  const app = await createApp({ databasePath: ':memory:' });
+  const client = await startServer(app);
+  const twoYearsAgo = new Date();
+  twoYearsAgo.setUTCFullYear(twoYearsAgo.getUTCFullYear() - 2);
+  const dateKey = twoYearsAgo.toISOString().slice(0, 10);
+
+  try {
+    await client.register('sam');
+    const manual = await client.request('POST', '/api/expense', { amount: 5, description: 'Old', date: dateKey });
+    assert.equal(manual.status, 400);
+
+    const csv = await client.request('POST', '/api/transactions/import', {
+      csv: `date,amount,description\n${dateKey},-12.50,Old rent\n`,
+      mapping: { date: 'date', amount: 'amount', description: 'description' },
+      commit: true,
+    });
+    assert.equal(csv.status, 200, JSON.stringify(csv.body));
+
+    const ofx = await client.request('POST', '/api/transactions/import/ofx', {
+      ofx: `<OFX><STMTRS><BANKACCTFROM><BANKID>1<ACCTID>2</BANKACCTFROM><BANKTRANLIST><STMTTRN><TRNTYPE>CREDIT`
+        + `<DTPOSTED>${dateKey.replace(/-/g, '')}<TRNAMT>30.00<FITID>old<NAME>Refund</STMTTRN>`
+        + '</BANKTRANLIST></STMTRS></OFX>',
+      commit: true,
+    });
+    assert.equal(ofx.status, 200, JSON.stringify(ofx.body));
+
+    const list = await client.request('GET', `/api/transactions?start_date=${dateKey}&end_date=${dateKey}`);
+    assert.deepEqual(list.body.items.map((item) => item.amount).sort(), [12.5, 30]);
+  } finally {
+    await client.close();
+    app.locals.db.close();
+  }
+});
+
+test('rejected category merges answer with their own status', async () => {
+  const app = await createApp({ databasePath: ':memory:' });
+  const client = await startServer(app);
+
+  try {
+    await client.register('sam');
+    const home = await client.request('POST', '/api/categories', { name: 'Home', budget_type: 'Necessities' });
+    await client.request('POST', '/api/categories', { name: 'Repairs', parent_id: home.body.id });
+    const food = await client.request('POST', '/api/categories', { name: 'Food', budget_type: 'Necessities' });
+    const snacks = await client.request('POST', '/api/categories', { name: 'Snacks', parent_id: food.body.id });
+
+    const intoSubCategory = await client.request('POST', `/api/categories/${home.body.id}/merge`, {
+      target_id: snacks.body.id,
+    });
+    assert.equal(intoSubCategory.status, 400);
+    assert.equal(
+      intoSubCategory.body.message,
+      'A category with sub-categories can only be merged into a top-level category.',
+    );
+
+    const missingTarget = await client.request('POST', `/api/categories/${home.body.id}/merge`, { target_id: 9999 });
+    assert.equal(missingTarget.status, 404);
+
+    const merged = await client.request('POST', `/api/categories/${home.body.id}/merge`, { target_id: food.body.id });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.moved.sub_categories, 1);
+  } finally {
+    await client.close();
+    app.locals.db.close();
+  }
+});
+
+test('recurring runs catch up on missed occurrences without posting any twice', async () => {
+  const app = await createApp({ databasePath: ':memory:' });
+  const client = await startServer(app);
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  try {
+    await client.register('sam');
+    const rent = await client.request('POST', '/api/categories', { name: 'Rent', budget_type: 'Necessities' });
+    // Every Monday from 2018-01-01 to 2026-10-19: 460 occurrences, more than one run posts.
+    const weekly = await client.request('POST', '/api/recurring', {
+      description: 'Cleaner',
+      default_amount: 20,
+      user_category_id: rent.body.id,
+      frequency: 'weekly',
+      day_of_week: 1,
+      start_date: '2018-01-01',
+    });
+    assert.equal(weekly.status, 201, JSON.stringify(weekly.body));
+    const monthly = await client.request('POST', '/api/recurring-income', {
+      source: 'Salary',
+      default_amount: 1000,
+      frequency: 'monthly',
+      day_of_month: 15,
+      start_date: '2026-01-15',
+    });
+    assert.equal(monthly.status, 201, JSON.stringify(monthly.body));
+
+    const runs = await withDatabase(app.locals.db, async () => [
+      await postDueRecurringEntries({ now }),
+      await postDueRecurringEntries({ now }),
+      await postDueRecurringEntries({ now }),
+    ]);
+    assert.deepEqual(runs, [{ expense: 400, income: 10 }, { expense: 60, income: 0 }, { expense: 0, income: 0 }]);
+
+    const counts = await withDatabase(app.locals.db, () => get(`
+      SELECT
+        (SELECT COUNT(*) FROM Expenditure) AS expenses,
+        (SELECT COUNT(DISTINCT date) FROM Expenditure) AS expense_dates,
+        (SELECT COUNT(*) FROM RecurringPosting WHERE expenditure_id IS NOT NULL) AS expense_claims,
+        (SELECT MIN(occurrence_date) FROM RecurringPosting) AS first_expense,
+        (SELECT MAX(occurrence_date) FROM RecurringPosting) AS last_expense,
+        (SELECT COUNT(*) FROM Income) AS incomes,
+        (SELECT COUNT(*) FROM RecurringIncomePosting WHERE income_id IS NOT NULL) AS income_claims
+    `));
+    assert.deepEqual({ ...counts }, {
+      expenses: 460,
+      expense_dates: 460,
+      expense_claims: 460,
+      first_expense: '2018-01-01',
+      last_expense: '2026-10-19',
+      incomes: 10,
+      income_claims: 10,
+    });
+  } finally {
+    await client.close();
+    app.locals.db.close();
+  }
+});
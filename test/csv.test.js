@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapStatementRow } = require('../csv');
+
+const AMOUNT_COLUMNS = { date: 0, amount: 1, debit: null, credit: null, description: 2 };
+const DEBIT_CREDIT_COLUMNS = { date: 0, amount: null, debit: 1, credit: 2, description: 3 };
+
+function mapRow(cells, columns, options = {}) {
+  return mapStatementRow(cells, {
+    columns,
+    dateFormat: 'YYYY-MM-DD',
+    signConvention: 'negative_expense',
+    decimalSeparator: '.',
+    ...options,
+  });
+}
+
+test('statement amounts with more than two decimals are invalid rather than rounded', () => {
+  assert.deepEqual(mapRow(['2026-01-05', '-12.345', 'Coffee'], AMOUNT_COLUMNS), {
+    error: 'Amount must have at most two decimal places.',
+  });
+  assert.deepEqual(mapRow(['2026-01-05', '', '3.001', 'Refund'], DEBIT_CREDIT_COLUMNS), {
+    error: 'Credit must have at most two decimal places.',
+  });
+});
+
+test('statement amounts are signed and summed in cents', () => {
+  assert.deepEqual(mapRow(['2026-01-05', '-12.34', 'Coffee'], AMOUNT_COLUMNS), {
+    type: 'Expense',
+    amount: 12.34,
+    dateKey: '2026-01-05',
+    description: 'Coffee',
+  });
+  assert.equal(mapRow(['2026-01-05', '0.1', '0.3', 'Net'], DEBIT_CREDIT_COLUMNS).amount, 0.2);
+  assert.equal(
+    mapRow(['2026-01-05', '5', 'Refund'], AMOUNT_COLUMNS, { signConvention: 'positive_expense' }).type,
+    'Expense',
+  );
+  assert.deepEqual(mapRow(['2026-01-05', '0.00', 'Nothing'], AMOUNT_COLUMNS), { error: 'Amount is zero.' });
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { describeGoalProgress } = require('../goals');
+
+test('goal progress is computed in cents and returned as decimals', () => {
+  const progress = describeGoalProgress(
+    { targetAmount: 10000, targetDate: '2026-12-31', startedOn: '2026-10-01' },
+    3333,
+    '2026-10-10',
+  );
+
+  assert.equal(progress.saved, 33.33);
+  assert.equal(progress.remaining, 66.67);
+  assert.equal(progress.percent_complete, 33.3);
+  assert.equal(progress.months_left, 3);
+  // 6667 cents over three months rounds up to 2223 cents a month.
+  assert.equal(progress.required_monthly, 22.23);
+  assert.equal(progress.projected_completion_date, '2026-10-31');
+  assert.equal(progress.status, 'on_track');
+});
+
+test('a goal saved in small amounts completes exactly at its target', () => {
+  const progress = describeGoalProgress(
+    { targetAmount: 30, targetDate: null, startedOn: '2026-10-01' },
+    10 + 20,
+    '2026-10-10',
+  );
+
+  assert.equal(progress.remaining, 0);
+  assert.equal(progress.required_monthly, 0);
+  assert.equal(progress.status, 'completed');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getZonedDayStart, getMonthRange } = require('../timezone');
+const { resolveReportPeriod } = require('../index');
+
+function iso(date) {
+  return date.toISOString();
+}
+
+function isInPeriod(timestamp, period) {
+  return timestamp >= period.startIso && timestamp < period.endIso;
+}
+
+test('a day whose midnight is skipped starts when the clocks resume', () => {
+  // São Paulo moved from 00:00 -03:00 straight to 01:00 -02:00.
+  assert.equal(iso(getZonedDayStart(2018, 10, 4, 'America/Sao_Paulo')), '2018-11-04T03:00:00.000Z');
+  assert.equal(iso(getZonedDayStart(2018, 10, 5, 'America/Sao_Paulo')), '2018-11-05T02:00:00.000Z');
+});
+
+test('a day with a repeated hour is 25 hours long', () => {
+  // London repeats 01:00-02:00 on the last Sunday of October.
+  const start = getZonedDayStart(2026, 9, 25, 'Europe/London');
+  const end = getZonedDayStart(2026, 9, 26, 'Europe/London');
+
+  assert.equal(iso(start), '2026-10-24T23:00:00.000Z');
+  assert.equal(iso(end), '2026-10-26T00:00:00.000Z');
+  assert.equal(end - start, 25 * 60 * 60 * 1000);
+});
+
+test('a month that ends after the change back from summer time', () => {
+  assert.deepEqual(getMonthRange(2026, 9, 'Europe/London'), {
+    startIso: '2026-09-30T23:00:00.000Z',
+    endIso: '2026-11-01T00:00:00.000Z',
+  });
+});
+
+test('month ends east of UTC', () => {
+  assert.deepEqual(getMonthRange(2026, 11, 'Asia/Tokyo'), {
+    startIso: '2026-11-30T15:00:00.000Z',
+    endIso: '2026-12-31T15:00:00.000Z',
+  });
+});
+
+test('month ends west of UTC', () => {
+  assert.deepEqual(getMonthRange(2026, 0, 'America/Los_Angeles'), {
+    startIso: '2026-01-01T08:00:00.000Z',
+    endIso: '2026-02-01T08:00:00.000Z',
+  });
+});
+
+test('an expense at 23:30 local on the 31st belongs to that month', () => {
+  // 2026-01-31 23:30 in Los Angeles is already February in UTC.
+  const lateInLosAngeles = '2026-02-01T07:30:00.000Z';
+  assert.ok(isInPeriod(lateInLosAngeles, resolveReportPeriod({ month: '2026-01' }, 'America/Los_Angeles')));
+  assert.ok(!isInPeriod(lateInLosAngeles, resolveReportPeriod({ month: '2026-02' }, 'America/Los_Angeles')));
+
+  const lateInTokyo = '2026-01-31T14:30:00.000Z';
+  assert.ok(isInPeriod(lateInTokyo, resolveReportPeriod({ month: '2026-01' }, 'Asia/Tokyo')));
+  assert.ok(!isInPeriod(lateInTokyo, resolveReportPeriod({ month: '2026-02' }, 'Asia/Tokyo')));
+});
@@ -0,0 +1,134 @@
+const DEFAULT_TIME_ZONE = 'UTC';
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }),
+    );
+  }
+
+  return formatterCache.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getZonedParts(timestamp, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(timestamp))
+    .forEach((part) => {
+      if (part.type !== 'literal') {
+        parts[part.type] = Number(part.value);
+      }
+    });
+
+  return {
+    year: parts.year,
+    monthIndex: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+// Offset of the zone from UTC at the given instant, in milliseconds.
+function getTimeZoneOffsetMs(timestamp, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.monthIndex, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Returns the UTC instant at which the given local calendar day starts. When a
+// DST change skips local midnight the day starts at the end of the gap; when
+// midnight happens twice the earlier instant wins.
+function getZonedDayStart(year, monthIndex, day, timeZone) {
+  const localAsUtc = Date.UTC(year, monthIndex, day);
+  const offsets = new Set([
+    getTimeZoneOffsetMs(localAsUtc - 36 * HOUR_MS, timeZone),
+    getTimeZoneOffsetMs(localAsUtc + 36 * HOUR_MS, timeZone),
+  ]);
+
+  const candidates = Array.from(offsets).map((offset) => ({
+    instant: localAsUtc - offset,
+    offset,
+  }));
+
+  const valid = candidates.filter(
+    (candidate) => getTimeZoneOffsetMs(candidate.instant, timeZone) === candidate.offset,
+  );
+
+  if (valid.length) {
+    return new Date(Math.min(...valid.map((candidate) => candidate.instant)));
+  }
+
+  return new Date(Math.max(...candidates.map((candidate) => candidate.instant)));
+}
+
+// Parses a YYYY-MM-DD key into midnight UTC of that date, or returns null when
+// it is not a real calendar date.
+function parseDateKey(dateKey) {
+  const match = typeof dateKey === 'string' ? dateKey.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  if (!match) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === dateKey ? date : null;
+}
+
+function getMonthRange(year, monthIndex, timeZone = DEFAULT_TIME_ZONE) {
+  const start = getZonedDayStart(year, monthIndex, 1, timeZone);
+  const end = getZonedDayStart(year, monthIndex + 1, 1, timeZone);
+
+  return {
+    startIso: start.toISOString(),
+    endIso: end.toISOString(),
+  };
+}
+
+function getCurrentMonth(timeZone = DEFAULT_TIME_ZONE, now = Date.now()) {
+  const { year, monthIndex } = getZonedParts(now, timeZone);
+  return { year, monthIndex };
+}
+
+function getCurrentMonthRange(timeZone = DEFAULT_TIME_ZONE, now = Date.now()) {
+  const { year, monthIndex } = getCurrentMonth(timeZone, now);
+  return getMonthRange(year, monthIndex, timeZone);
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMs,
+  getZonedDayStart,
+  parseDateKey,
+  getMonthRange,
+  getCurrentMonth,
+  getCurrentMonthRange,
+};